@@ -15,44 +15,97 @@ import { fixCommand } from "./commands/fix.js";
 import { retryCommand } from "./commands/retry.js";
 import { watchCommand } from "./commands/watch.js";
 import { demoCommand } from "./commands/demo.js";
+import { bundleShowCommand, bundleExportCommand, bundleImportCommand } from "./commands/bundle.js";
+import { setConfigOverrides, loadConfig } from "./utils/config.js";
+import { fail } from "./utils/print.js";
 
 const program = new Command();
 
+/**
+ * Offline mode: build the evidence bundle from local files instead of `gh`.
+ * @param {Command} command
+ * @returns {Command}
+ */
+function withOfflineOptions(command) {
+  return command
+    .option("--log <path>", "Offline: diagnose a saved log file (or extracted log archive) instead of fetching a run")
+    .option("--workflow-file <path>", "Offline: workflow YAML that produced the log")
+    .option("--repo <owner/name>", "Offline: repository the log came from")
+    .option("--reports <path>", "Offline: JUnit/TRX/TAP test report file or directory");
+}
+
 program
   .name("copilot-ci-doctor")
   .description(
     "Diagnose GitHub Actions CI failures using GitHub Copilot CLI as the reasoning engine"
   )
-  .version("1.0.0");
+  .version("1.0.0")
+  .option("--max-tokens <n>", "Token budget for each Copilot prompt (default: 20000, or maxTokens in .copilot-ci-doctor/config.json)")
+  .option("--repair-attempts <n>", "Re-prompts after an invalid model response (default: 2, or repairAttempts in .copilot-ci-doctor/config.json)")
+  .option("--samples <n>", "Ask the model n times and merge the answers by consensus (default: 1)")
+  .option("--no-cache", "Always ask the model, ignoring responses cached for the same prompt")
+  .option("--confirm-send", "Show each prompt and ask before sending it to Copilot")
+  .option("--provider <name>", "Reasoning backend: copilot (default), openai or command — see providers in .copilot-ci-doctor/config.json")
+  .option("--record <dir>", "Record every model call (prompt hash, mode, raw response) into a cassette directory")
+  .option("--replay <dir>", "Answer model calls from a cassette directory instead of the live model; fail if a prompt wasn't recorded")
+  .option("--scrub-pii", "Also replace emails, IPs, internal hosts, home-dir user names and URL signatures with placeholders")
+  .hook("preAction", () => {
+    const opts = program.opts();
+    if (opts.record && opts.replay) fail("Config", "--record and --replay cannot be used together.");
+    setConfigOverrides({
+      maxTokens: opts.maxTokens,
+      repairAttempts: opts.repairAttempts,
+      samples: opts.samples,
+      // --no-cache sets cache to false; its default (true) must not mask the config file
+      responseCache: opts.cache === false ? false : undefined,
+      confirmSend: opts.confirmSend,
+      scrubPii: opts.scrubPii,
+      provider: opts.provider,
+      cassette: opts.record ? { mode: "record", dir: opts.record }
+        : opts.replay ? { mode: "replay", dir: opts.replay }
+        : undefined,
+    });
+    // Catch a broken config.json before a command is halfway through
+    try {
+      loadConfig();
+    } catch (err) {
+      fail("Config", err.message);
+    }
+  });
 
 // ── analyze ──────────────────────────────────────────────────────────────────
-program
+withOfflineOptions(program
   .command("analyze")
   .description(
-    "Find the latest failed CI run, collect evidence, and generate ranked root-cause hypotheses"
+    "Find a failed CI run, collect evidence, and generate ranked root-cause hypotheses"
   )
-  .action(async () => {
-    await analyzeCommand();
+  .argument("[run]", "Run ID or Actions run URL (default: latest failure on the current branch)")
+  .option("--branch <name>", "Latest failure on this branch")
+  .option("--workflow <name>", "Latest failure of this workflow (name or file)")
+  .option("--commit <sha>", "Latest failure for this commit")
+  .option("--pr <number>", "Latest failure for this pull request"))
+  .action(async (run, options) => {
+    await analyzeCommand({ run, ...options });
   });
 
 // ── explain ──────────────────────────────────────────────────────────────────
-program
+withOfflineOptions(program
   .command("explain")
   .description(
     "Explain the latest CI failure in plain English (reuses cached evidence bundle)"
-  )
-  .action(async () => {
-    await explainCommand();
+  ))
+  .action(async (options) => {
+    await explainCommand(options);
   });
 
 // ── fix ──────────────────────────────────────────────────────────────────────
-program
+withOfflineOptions(program
   .command("fix")
   .description(
     "Generate a minimal patch to fix the CI failure and apply it on a new branch"
   )
   .option("--yes", "Auto-confirm without prompting (for scripting/demo)")
-  .option("--auto", "Full auto-fix mode: iterate analyze → explain → fix → push until CI passes")
+  .option("--auto", "Full auto-fix mode: iterate analyze → explain → fix → push until CI passes"))
   .action(async (options) => {
     if (options.auto) {
       await watchCommand({ autoFix: true });
@@ -75,8 +128,38 @@ program
   .description(
     "Watch CI pipeline: auto-analyze, explain, and fix failures until CI passes or confidence drops below 80%"
   )
-  .action(async () => {
-    await watchCommand();
+  .option("--no-retry-flaky", "Only suggest `retry` for flaky/infrastructure failures instead of re-running them")
+  .action(async (options) => {
+    await watchCommand(options);
+  });
+
+// ── bundle ───────────────────────────────────────────────────────────────────
+const bundle = program
+  .command("bundle")
+  .description("Inspect, export or import the evidence bundle sent to Copilot");
+
+bundle
+  .command("show")
+  .description("Print the exact rendered, redacted prompt for the cached bundle, with its size and estimated tokens")
+  .option("--mode <mode>", "Prompt to render: hypotheses, explain, patch or combined", "hypotheses")
+  .action(async (options) => {
+    await bundleShowCommand(options);
+  });
+
+bundle
+  .command("export")
+  .description("Write the cached evidence bundle to a portable file")
+  .argument("<file>", "Destination file")
+  .action(async (file) => {
+    await bundleExportCommand(file);
+  });
+
+bundle
+  .command("import")
+  .description("Load an exported bundle as the cached bundle for explain and fix")
+  .argument("<file>", "File written by `bundle export`")
+  .action(async (file) => {
+    await bundleImportCommand(file);
   });
 
 // ── demo ─────────────────────────────────────────────────────────────────────
@@ -1,7 +1,9 @@
 /**
  * analyze.js — `copilot-ci-doctor analyze`
  *
- * 1. Build evidence bundle from the latest failed GitHub Actions run
+ * 1. Build evidence bundle from the selected failed GitHub Actions run
+ *    (run ID/URL, --branch, --workflow, --commit, --pr, or the current branch),
+ *    or offline from a saved log (--log, --workflow-file, --repo, --reports)
  * 2. Cache the evidence bundle
  * 3. Call Copilot CLI with the hypotheses prompt
  * 4. Display ranked root-cause hypotheses + evidence summary
@@ -9,21 +11,48 @@
  */
 
 import chalk from "chalk";
-import { buildEvidenceBundle, cacheBundle } from "../evidence/bundle.js";
+import { buildEvidenceBundle, buildOfflineEvidenceBundle, cacheBundle } from "../evidence/bundle.js";
+import { resolveSelector } from "../evidence/runSelector.js";
 import { askCopilot } from "../copilot/index.js";
 import { writeCache } from "../utils/paths.js";
-import { header, confidenceColor, printEvidenceSummary, fail } from "../utils/print.js";
+import { header, formatConfidence, formatAgreement, printFailedSamples, printGrounding, printEvidenceSummary, printFlakiness, printTestFailures, printJobEnd, printMatrix, printEnvironment, fail } from "../utils/print.js";
 
-export async function analyzeCommand() {
+/**
+ * @param {object} [options]
+ * @param {string} [options.run] - Run ID or Actions run URL.
+ * @param {string} [options.branch]
+ * @param {string} [options.workflow]
+ * @param {string} [options.commit]
+ * @param {string} [options.pr]
+ * @param {string} [options.log] - Offline: saved log file or directory.
+ * @param {string} [options.workflowFile] - Offline: workflow YAML.
+ * @param {string} [options.repo] - Offline: "owner/name".
+ * @param {string} [options.reports] - Offline: test report file or directory.
+ */
+export async function analyzeCommand(options = {}) {
   try {
     header("🔍", "copilot-ci-doctor analyze");
 
-    // Step 1 — Build evidence bundle
-    const bundle = await buildEvidenceBundle();
+    // Step 1 — Build evidence bundle for the selected run (or local log)
+    let bundle;
+    if (options.log) {
+      if (options.run || options.pr || options.workflow) {
+        throw new Error("--log cannot be combined with a run ID, --pr or --workflow.");
+      }
+      bundle = await buildOfflineEvidenceBundle(options);
+    } else {
+      bundle = await buildEvidenceBundle(await resolveSelector(options));
+    }
     cacheBundle(bundle);
 
-    // Step 2 — Show evidence summary
+    // Step 2 — Show evidence summary, failing tests, job outcome, matrix, runner changes and failure classification
     printEvidenceSummary(bundle.evidence);
+    printTestFailures(bundle.evidence.find((e) => e.type === "test_failures")?.data);
+    printJobEnd(bundle.evidence.find((e) => e.type === "step_timeline")?.data);
+    printMatrix(bundle.evidence.find((e) => e.type === "matrix_analysis")?.data);
+    printEnvironment(bundle.evidence.find((e) => e.type === "environment")?.data);
+    const flakiness = bundle.evidence.find((e) => e.type === "flakiness")?.data;
+    printFlakiness(flakiness);
 
     // Step 3 — Call Copilot
     console.log(chalk.dim("🤖 Asking Copilot for root-cause hypotheses…\n"));
@@ -35,17 +64,25 @@ export async function analyzeCommand() {
     // Step 5 — Display results
     console.log(chalk.bold.underline("Root-Cause Hypotheses:\n"));
 
-    for (const h of response.hypotheses) {
-      const color = confidenceColor(h.confidence);
+    response.hypotheses.forEach((h, i) => {
+      const grounded = response.grounding.hypotheses[i];
       console.log(
-        `  ${chalk.bold(`#${h.rank}`)} ${h.title}  ${color(`[${h.confidence}%]`)}`
+        `  ${chalk.bold(`#${h.rank}`)} ${h.title}  [${formatConfidence(h.confidence, grounded.confidence, grounded.score)}]`
       );
       console.log(`     ${chalk.dim(h.explanation)}`);
+      const agreement = formatAgreement(h.agreement, response.ensemble);
       console.log(
-        `     Evidence: ${chalk.cyan(h.evidence_refs.join(", "))}\n`
+        `     Evidence: ${chalk.cyan(h.evidence_refs.join(", "))}${agreement ? `  ·  ${agreement}` : ""}\n`
       );
-    }
+    });
+    printFailedSamples(response.ensemble);
+    printGrounding(response.grounding);
 
+    if (flakiness && flakiness.classification !== "deterministic") {
+      console.log(
+        chalk.yellow("Tip: This failure looks transient — try `copilot-ci-doctor retry` before changing code.")
+      );
+    }
     console.log(
       chalk.dim("Tip: Run `copilot-ci-doctor explain` for a plain-English breakdown.")
     );
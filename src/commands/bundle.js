@@ -0,0 +1,75 @@
+/**
+ * bundle.js — `copilot-ci-doctor bundle show|export|import`
+ *
+ * Lets you inspect exactly what would be sent to Copilot, and move an
+ * evidence bundle between machines:
+ *   show    — print the fully rendered, redacted prompt for a mode, and
+ *             which template and project context it came from
+ *   export  — write the cached bundle to a portable file
+ *   import  — load an exported bundle as the cached one for explain/fix
+ */
+
+import chalk from "chalk";
+import { loadCachedBundle, exportBundle, importBundle, describeBundleRun } from "../evidence/bundle.js";
+import { renderPrompt } from "../prompts/loadPrompt.js";
+import { header, printPayload, printPromptSource, fail } from "../utils/print.js";
+
+/** Prompt modes `show` can render */
+export const PROMPT_MODES = ["hypotheses", "explain", "patch", "combined"];
+
+/**
+ * @param {object} [options]
+ * @param {string} [options.mode="hypotheses"] - Prompt to render.
+ */
+export async function bundleShowCommand(options = {}) {
+  try {
+    header("📦", "copilot-ci-doctor bundle show");
+
+    const mode = options.mode ?? "hypotheses";
+    if (!PROMPT_MODES.includes(mode)) {
+      throw new Error(`Unknown mode "${mode}" (expected ${PROMPT_MODES.join(", ")}).`);
+    }
+    const bundle = loadCachedBundle();
+    if (!bundle) {
+      console.log(
+        chalk.yellow("  No cached evidence bundle found.\n") +
+        chalk.dim("  Run `copilot-ci-doctor analyze` or `bundle import <file>` first.")
+      );
+      process.exit(1);
+    }
+    console.log(chalk.dim(`  ${mode} prompt for ${describeBundleRun(bundle)}:\n`));
+
+    const { text, tokens, source } = renderPrompt(mode, bundle);
+    printPromptSource(source);
+    printPayload(text, tokens);
+  } catch (err) {
+    fail("Bundle show", err.message);
+  }
+}
+
+/**
+ * @param {string} file - Destination path.
+ */
+export async function bundleExportCommand(file) {
+  try {
+    header("📦", "copilot-ci-doctor bundle export");
+    const bundle = exportBundle(file);
+    console.log(chalk.green(`  ✓ Exported ${describeBundleRun(bundle)} → ${file}`));
+  } catch (err) {
+    fail("Bundle export", err.message);
+  }
+}
+
+/**
+ * @param {string} file - Bundle written by `bundle export`.
+ */
+export async function bundleImportCommand(file) {
+  try {
+    header("📦", "copilot-ci-doctor bundle import");
+    const bundle = importBundle(file);
+    console.log(chalk.green(`  ✓ Imported ${describeBundleRun(bundle)} (${bundle.evidence.length} evidence entries)`));
+    console.log(chalk.dim("\nTip: Run `copilot-ci-doctor explain` or `copilot-ci-doctor fix` to use it."));
+  } catch (err) {
+    fail("Bundle import", err.message);
+  }
+}
@@ -1,23 +1,38 @@
 /**
  * explain.js — `copilot-ci-doctor explain`
  *
- * Reuses the cached evidence bundle (from a prior `analyze` run) and
- * calls Copilot CLI with the explain prompt. Prints a plain-English
- * explanation of the CI failure.
+ * Reuses the cached evidence bundle (from a prior `analyze` run), or
+ * builds one offline from a saved log (`--log`), and calls Copilot CLI
+ * with the explain prompt. Prints a plain-English explanation of the
+ * CI failure.
  */
 
 import chalk from "chalk";
-import { loadCachedBundle } from "../evidence/bundle.js";
+import { loadCachedBundle, buildOfflineEvidenceBundle, cacheBundle, describeBundleRun } from "../evidence/bundle.js";
 import { askCopilot } from "../copilot/index.js";
 import { writeCache } from "../utils/paths.js";
-import { header, confidenceColor, fail } from "../utils/print.js";
+import { header, formatConfidence, printFailedSamples, printGrounding, fail } from "../utils/print.js";
 
-export async function explainCommand() {
+/**
+ * @param {object} [options]
+ * @param {string} [options.log] - Offline: saved log file or directory.
+ * @param {string} [options.workflowFile] - Offline: workflow YAML.
+ * @param {string} [options.repo] - Offline: "owner/name".
+ * @param {string} [options.reports] - Offline: test report file or directory.
+ */
+export async function explainCommand(options = {}) {
   try {
     header("💡", "copilot-ci-doctor explain");
 
-    // Load cached bundle — require analyze to have been run first
-    const bundle = loadCachedBundle();
+    // Load cached bundle (require analyze to have been run first),
+    // or build one offline from a saved log
+    let bundle;
+    if (options.log) {
+      bundle = await buildOfflineEvidenceBundle(options);
+      cacheBundle(bundle);
+    } else {
+      bundle = loadCachedBundle();
+    }
     if (!bundle) {
       console.log(
         chalk.yellow("  No cached evidence bundle found.\n") +
@@ -25,7 +40,9 @@ export async function explainCommand() {
       );
       process.exit(1);
     }
-    console.log(chalk.dim("  Using cached evidence bundle.\n"));
+    if (!options.log) {
+      console.log(chalk.dim(`  Using cached evidence bundle for ${describeBundleRun(bundle)}.\n`));
+    }
 
     // Call Copilot
     console.log(chalk.dim("🤖 Asking Copilot for an explanation…\n"));
@@ -35,11 +52,12 @@ export async function explainCommand() {
     writeCache("latest-explain.json", response);
 
     // Display results
-    const color = confidenceColor(response.confidence);
+    const { grounding } = response;
 
     console.log(chalk.bold.underline("Failure Explanation:\n"));
     console.log(`  ${chalk.bold("Summary:")} ${response.summary}`);
-    console.log(`  ${chalk.bold("Confidence:")} ${color(`${response.confidence}%`)}`);
+    console.log(`  ${chalk.bold("Confidence:")} ${formatConfidence(response.confidence, grounding.confidence, grounding.score)}`);
+    printFailedSamples(response.ensemble);
     console.log(`\n  ${response.explanation}`);
 
     // Structured plain-English bullets (if provided)
@@ -63,6 +81,7 @@ export async function explainCommand() {
     console.log(
       `\n  ${chalk.bold("Evidence:")} ${chalk.cyan(response.evidence_refs.join(", "))}`
     );
+    printGrounding(grounding);
 
     console.log(
       chalk.dim("\nTip: Run `copilot-ci-doctor fix --safe` to generate a patch.")
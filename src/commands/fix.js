@@ -1,14 +1,15 @@
 /**
  * fix.js — `copilot-ci-doctor fix [--safe] [--yes]`
  *
- * Calls Copilot CLI with the patch prompt, shows the diff to the user,
+ * Calls Copilot CLI with the patch prompt (on the cached evidence bundle,
+ * or one built offline from `--log`), shows the diff to the user,
  * asks for confirmation, and applies the patch on a new git branch.
  *
  * Safety guarantees:
  *   - `git apply --check` before actual apply
  *   - Never auto-applies without showing the diff (unless --yes)
  *   - Always creates a new branch before applying
- *   - Refuses to apply if confidence < 60 or risk == "HIGH"
+ *   - Refuses to apply if confidence < 60 (after grounding, see copilot/grounding.js) or risk == "HIGH"
  *   - Never prints or modifies secrets
  *   - Commits with a clear "CI Doctor:" message
  */
@@ -16,11 +17,10 @@
 import chalk from "chalk";
 import { execa } from "execa";
 import fs from "node:fs";
-import readline from "node:readline";
-import { loadCachedBundle } from "../evidence/bundle.js";
+import { loadCachedBundle, buildOfflineEvidenceBundle, cacheBundle, describeBundleRun } from "../evidence/bundle.js";
 import { askCopilot } from "../copilot/index.js";
 import { writeCache, writeCacheText, cachePath, ensureCacheDir } from "../utils/paths.js";
-import { header, confidenceColor, printDiff, fail } from "../utils/print.js";
+import { header, formatConfidence, formatAgreement, printFailedSamples, printGrounding, printDiff, confirm, fail } from "../utils/print.js";
 import { redact } from "../evidence/redact.js";
 
 /**
@@ -90,28 +90,18 @@ function fixHunkHeader(lines, hunkIdx) {
   lines[hunkIdx] = `@@ -${oldStart},${oldCount} +${newStart},${newCount} @@${trailing}`;
 }
 
-/**
- * Prompt the user for a yes/no confirmation via stdin.
- */
-function confirm(question) {
-  const rl = readline.createInterface({
-    input: process.stdin,
-    output: process.stdout,
-  });
-  return new Promise((resolve) => {
-    rl.question(`${question} (y/N) `, (answer) => {
-      rl.close();
-      resolve(answer.trim().toLowerCase() === "y");
-    });
-  });
-}
-
 export async function fixCommand(options) {
   try {
     header("🔧", "copilot-ci-doctor fix");
 
-    // Load cached bundle
-    const bundle = loadCachedBundle();
+    // Load cached bundle — or build one offline from a saved log
+    let bundle;
+    if (options.log) {
+      bundle = await buildOfflineEvidenceBundle(options);
+      cacheBundle(bundle);
+    } else {
+      bundle = loadCachedBundle();
+    }
     if (!bundle) {
       console.log(
         chalk.yellow("  No cached evidence bundle found.\n") +
@@ -119,7 +109,9 @@ export async function fixCommand(options) {
       );
       process.exit(1);
     }
-    console.log(chalk.dim("  Using cached evidence bundle.\n"));
+    if (!options.log) {
+      console.log(chalk.dim(`  Using cached evidence bundle for ${describeBundleRun(bundle)}.\n`));
+    }
 
     // Call Copilot
     console.log(chalk.dim("🤖 Asking Copilot for a fix…\n"));
@@ -129,12 +121,16 @@ export async function fixCommand(options) {
     writeCache("latest-patch.json", response);
 
     // Display proposed fix
-    const color = confidenceColor(response.confidence);
+    const { grounding } = response;
 
     console.log(chalk.bold.underline("Proposed Fix:\n"));
     console.log(`  ${chalk.bold("Description:")} ${response.description}`);
-    console.log(`  ${chalk.bold("Confidence:")} ${color(`${response.confidence}%`)}`);
+    console.log(`  ${chalk.bold("Confidence:")} ${formatConfidence(response.confidence, grounding.confidence, grounding.score)}`);
     console.log(`  ${chalk.bold("Evidence:")} ${chalk.cyan(response.evidence_refs.join(", "))}`);
+    if (response.ensemble) {
+      console.log(`  ${chalk.bold("Consensus:")} ${formatAgreement(response.agreement, response.ensemble)} on this patch (${response.ensemble.patch_groups} distinct patch(es))`);
+    }
+    printFailedSamples(response.ensemble);
 
     if (response.warnings && response.warnings.length > 0) {
       console.log(`  ${chalk.bold.yellow("Warnings:")}`);
@@ -142,11 +138,13 @@ export async function fixCommand(options) {
         console.log(`    ⚠  ${w}`);
       }
     }
+    console.log("");
+    printGrounding(grounding);
 
-    // Safety gate: refuse to apply low-confidence or HIGH-risk patches
+    // Safety gate: refuse to apply low-confidence (after grounding) or HIGH-risk patches
     const risk = (response.risk || "").toUpperCase();
-    if (response.confidence < 60) {
-      console.log(chalk.red(`\n  ✖ Confidence too low (${response.confidence}%) — not applying automatically.`));
+    if (grounding.confidence < 60) {
+      console.log(chalk.red(`\n  ✖ Confidence too low (${grounding.confidence}% after grounding) — not applying automatically.`));
       console.log(chalk.dim("  Review the patch manually. Saved to .copilot-ci-doctor/cache/latest-patch.json"));
       return;
     }
@@ -1,15 +1,15 @@
 /**
  * retry.js — `copilot-ci-doctor retry`
  *
- * Re-runs the most recent failed GitHub Actions workflow run.
- * Uses the cached evidence bundle's run ID if available,
- * otherwise queries for the latest failed run.
+ * Re-runs the failed GitHub Actions workflow run.
+ * Uses the cached evidence bundle's run ID if available (so retry stays
+ * pinned to the run `analyze` selected), otherwise queries for the
+ * latest failed run.
  */
 
 import chalk from "chalk";
-import { execa } from "execa";
 import { loadCachedBundle } from "../evidence/bundle.js";
-import { getLatestFailedRun, getRunHtmlUrl } from "../evidence/githubActions.js";
+import { getLatestFailedRun, getRunHtmlUrl, rerunFailedJobs } from "../evidence/githubActions.js";
 import { header, fail } from "../utils/print.js";
 
 export async function retryCommand() {
@@ -43,7 +43,7 @@ export async function retryCommand() {
     console.log(chalk.dim(`  Re-running: ${workflowName} (#${runId})`));
 
     // Trigger re-run
-    await execa("gh", ["run", "rerun", String(runId), "--failed"]);
+    await rerunFailedJobs(runId);
 
     // Get the URL for the user
     let htmlUrl;
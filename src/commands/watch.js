@@ -3,12 +3,14 @@
  *
  * Continuously monitors the CI pipeline with optimized token usage:
  *   1. Poll for the latest run status
- *   2. If it fails → single combined Copilot call (analyze+explain+fix) → push → wait
+ *   2. If it fails and looks flaky/infrastructure → re-run failed jobs once → wait
+ *      Otherwise → single combined Copilot call (analyze+explain+fix) → push → wait
  *   3. Repeat until CI passes OR fix confidence drops below 80%
  *   4. Print a final scoreboard with token usage estimates
  *
  * Token optimization: uses a single combined prompt per iteration (~1,800 tokens)
  * instead of 3 separate calls (~5,400 tokens) — approximately 0.33x token usage.
+ * The same failure on an unchanged commit reuses the cached combined response.
  */
 
 import chalk from "chalk";
@@ -16,8 +18,11 @@ import { execa } from "execa";
 import fs from "node:fs";
 import { buildEvidenceBundle, cacheBundle } from "../evidence/bundle.js";
 import { askCopilot } from "../copilot/index.js";
+import { renderPrompt } from "../prompts/loadPrompt.js";
+import { estimateTokens } from "../utils/tokens.js";
 import { writeCache, readCache, ensureCacheDir, cachePath } from "../utils/paths.js";
-import { header, stepDivider, success, warn, dim, confidenceColor, printDiff, printEvidenceSummary } from "../utils/print.js";
+import { rerunFailedJobs } from "../evidence/githubActions.js";
+import { header, stepDivider, success, warn, dim, formatConfidence, formatAgreement, printFailedSamples, printGrounding, printDiff, printEvidenceSummary, printFlakiness } from "../utils/print.js";
 import { redact } from "../evidence/redact.js";
 
 const POLL_INTERVAL_MS = 10_000;
@@ -25,18 +30,6 @@ const POLL_TIMEOUT_MS = 180_000;
 const MIN_CONFIDENCE = 80;
 const MAX_ITERATIONS = 5;
 
-// Token estimation constants (approximate for GPT-4 class models)
-// ~4 chars per token on average for English + JSON
-const CHARS_PER_TOKEN = 4;
-
-/**
- * Estimate token count from a string.
- */
-function estimateTokens(text) {
-  if (!text) return 0;
-  return Math.ceil(text.length / CHARS_PER_TOKEN);
-}
-
 /**
  * Normalize a unified diff by recounting hunk line counts.
  * (Duplicated from fix.js for self-contained watch usage)
@@ -144,6 +137,14 @@ async function waitForNewRunToComplete(previousRunId) {
     return "timeout";
   }
 
+  return waitForRunIdToComplete(newRunId);
+}
+
+/**
+ * Wait for a specific run (e.g. a re-run attempt) to complete.
+ * Returns the final conclusion.
+ */
+async function waitForRunIdToComplete(runId) {
   dim("Waiting for run to complete…");
   const completionDeadline = Date.now() + POLL_TIMEOUT_MS;
   while (Date.now() < completionDeadline) {
@@ -151,7 +152,7 @@ async function waitForNewRunToComplete(previousRunId) {
     process.stdout.write(chalk.dim("."));
     try {
       const { stdout } = await execa("gh", [
-        "run", "view", String(newRunId),
+        "run", "view", String(runId),
         "--json", "status,conclusion",
       ]);
       const data = JSON.parse(stdout);
@@ -165,6 +166,21 @@ async function waitForNewRunToComplete(previousRunId) {
   return "timeout";
 }
 
+/**
+ * Identify a failure apart from the run that showed it: same workflow,
+ * same commit, same failed jobs and steps. A repeat (a re-run, or another
+ * trigger on the unchanged commit) then reuses the cached combined response.
+ *
+ * @param {object} bundle
+ * @returns {string|undefined} Undefined when the commit is unknown.
+ */
+function failureSignature(bundle) {
+  const run = bundle.evidence.find((e) => e.type === "failed_run")?.data;
+  if (!run?.headSha) return undefined;
+  const jobs = bundle.evidence.find((e) => e.type === "failed_jobs")?.data;
+  return JSON.stringify({ workflow: run.workflow, headSha: run.headSha, jobs });
+}
+
 function sleep(ms) {
   return new Promise((resolve) => setTimeout(resolve, ms));
 }
@@ -175,6 +191,7 @@ export async function watchCommand(options = {}) {
   const history = [];
   let totalInputTokens = 0;
   let totalOutputTokens = 0;
+  const retriedRuns = new Set();
 
   try {
     header("👁", "copilot-ci-doctor watch");
@@ -211,24 +228,57 @@ export async function watchCommand(options = {}) {
       // ── Collect evidence ──
       stepDivider("A", "Evidence");
       console.log(chalk.dim("📦 Building evidence bundle…"));
-      const bundle = await buildEvidenceBundle();
+      // Pin to the run we just observed rather than searching again
+      const bundle = await buildEvidenceBundle(run ? { source: "run", runId: run.id } : undefined);
       cacheBundle(bundle);
       printEvidenceSummary(bundle.evidence);
 
+      // ── Flaky or infrastructure failure? Retry before patching ──
+      const flakiness = bundle.evidence.find((e) => e.type === "flakiness")?.data;
+      printFlakiness(flakiness);
+      const failedRunId = bundle.evidence.find((e) => e.type === "failed_run")?.data.runId;
+      if (flakiness && flakiness.classification !== "deterministic" && !retriedRuns.has(failedRunId)) {
+        if (options.retryFlaky === false) {
+          warn(`Failure looks ${flakiness.classification.replace("_", " ")} — not generating a patch.`);
+          dim("Run `copilot-ci-doctor retry` to re-run the failed jobs.");
+          history.push({ iteration, outcome: "flaky" });
+          break;
+        }
+        retriedRuns.add(failedRunId);
+        stepDivider("B", "Retry");
+        dim(`Failure looks ${flakiness.classification.replace("_", " ")} — re-running failed jobs instead of patching.`);
+        await rerunFailedJobs(failedRunId);
+        history.push({ iteration, outcome: "retried" });
+        const rerunConclusion = await waitForRunIdToComplete(failedRunId);
+        if (rerunConclusion === "success") {
+          success("CI passed on retry — no code change needed.");
+          history.push({ iteration: iteration + 0.5, outcome: "success" });
+          break;
+        } else if (rerunConclusion === "timeout") {
+          warn("Timed out waiting for the re-run to complete.");
+          history.push({ iteration: iteration + 0.5, outcome: "timeout" });
+          break;
+        }
+        warn(`Still failing after retry (${rerunConclusion}) — treating it as a real failure.\n`);
+        continue;
+      }
+
       // ── Single combined Copilot call ──
       stepDivider("B", "Diagnose + Fix");
       console.log(chalk.dim("🤖 Single Copilot call: analyze + explain + fix…\n"));
 
-      const response = await askCopilot({ mode: "combined", evidenceBundle: bundle });
+      const response = await askCopilot({ mode: "combined", evidenceBundle: bundle, failureKey: failureSignature(bundle) });
 
-      // Estimate tokens for this call
-      const bundleJson = JSON.stringify(bundle, null, 2);
-      const inputTokens = estimateTokens(bundleJson) + 200; // prompt template overhead
-      const outputTokens = estimateTokens(JSON.stringify(response));
+      // Estimate tokens for this call (the prompt as sent, after budgeting) — none when answered from the cache
+      const { grounding, prompt_source: promptSource, cached, ...answer } = response;
+      const inputTokens = cached ? 0 : renderPrompt("combined", bundle).tokens;
+      const outputTokens = cached ? 0 : estimateTokens(JSON.stringify(answer));
       totalInputTokens += inputTokens;
       totalOutputTokens += outputTokens;
 
-      console.log(chalk.dim(`  Tokens: ~${inputTokens} input + ~${outputTokens} output = ~${inputTokens + outputTokens} total\n`));
+      console.log(chalk.dim(cached
+        ? "  Tokens: none sent — answered from the response cache\n"
+        : `  Tokens: ~${inputTokens} input + ~${outputTokens} output = ~${inputTokens + outputTokens} total\n`));
 
       // Cache individual pieces for compatibility
       writeCache("latest-hypotheses.json", {
@@ -259,12 +309,13 @@ export async function watchCommand(options = {}) {
 
       // Display hypotheses
       console.log(chalk.bold.underline("Root-Cause Hypotheses:\n"));
-      for (const h of response.hypotheses) {
-        const color = confidenceColor(h.confidence);
-        console.log(`  ${chalk.bold(`#${h.rank}`)} ${h.title}  ${color(`[${h.confidence}%]`)}`);
+      response.hypotheses.forEach((h, i) => {
+        const grounded = grounding.hypotheses[i];
+        console.log(`  ${chalk.bold(`#${h.rank}`)} ${h.title}  [${formatConfidence(h.confidence, grounded.confidence, grounded.score)}]`);
         console.log(`     ${chalk.dim(h.explanation)}`);
-        console.log(`     Evidence: ${chalk.cyan(h.evidence_refs.join(", "))}\n`);
-      }
+        const agreement = formatAgreement(h.agreement, response.ensemble);
+        console.log(`     Evidence: ${chalk.cyan(h.evidence_refs.join(", "))}${agreement ? `  ·  ${agreement}` : ""}\n`);
+      });
 
       // Display explanation
       console.log(chalk.bold.underline("Explanation:\n"));
@@ -277,11 +328,14 @@ export async function watchCommand(options = {}) {
       console.log("");
 
       // Display fix
-      const color = confidenceColor(response.confidence);
       console.log(chalk.bold.underline("Proposed Fix:\n"));
       console.log(`  ${chalk.bold("Description:")} ${response.description}`);
-      console.log(`  ${chalk.bold("Confidence:")} ${color(`${response.confidence}%`)}`);
+      console.log(`  ${chalk.bold("Confidence:")} ${formatConfidence(response.confidence, grounding.confidence, grounding.score)}`);
       console.log(`  ${chalk.bold("Evidence:")} ${chalk.cyan(response.evidence_refs.join(", "))}`);
+      if (response.ensemble) {
+        console.log(`  ${chalk.bold("Consensus:")} ${formatAgreement(response.agreement, response.ensemble)} on this patch (${response.ensemble.patch_groups} distinct patch(es))`);
+      }
+      printFailedSamples(response.ensemble);
       if (response.warnings && response.warnings.length > 0) {
         console.log(`  ${chalk.bold.yellow("Warnings:")}`);
         for (const w of response.warnings) {
@@ -289,15 +343,18 @@ export async function watchCommand(options = {}) {
         }
       }
 
+      console.log("");
+      printGrounding(grounding);
+
       // Show diff
-      console.log(chalk.bold("\n--- Diff ---\n"));
+      console.log(chalk.bold("--- Diff ---\n"));
       printDiff(response.patch);
       console.log("");
 
-      // Check confidence threshold
-      if (response.confidence < MIN_CONFIDENCE) {
-        warn(`Fix confidence (${response.confidence}%) is below threshold (${MIN_CONFIDENCE}%). Stopping.`);
-        history.push({ iteration, outcome: "low-confidence", confidence: response.confidence, inputTokens, outputTokens });
+      // Check confidence threshold (after grounding)
+      if (grounding.confidence < MIN_CONFIDENCE) {
+        warn(`Fix confidence (${grounding.confidence}% after grounding) is below threshold (${MIN_CONFIDENCE}%). Stopping.`);
+        history.push({ iteration, outcome: "low-confidence", confidence: grounding.confidence, inputTokens, outputTokens });
         break;
       }
 
@@ -352,7 +409,7 @@ export async function watchCommand(options = {}) {
         break;
       }
 
-      history.push({ iteration, outcome: "fix-pushed", confidence: response.confidence, inputTokens, outputTokens });
+      history.push({ iteration, outcome: "fix-pushed", confidence: grounding.confidence, inputTokens, outputTokens });
 
       // Wait for new CI run
       const currentRun = await getLatestRun();
@@ -393,6 +450,10 @@ async function printWatchScoreboard(startTime, history, totalInputTokens, totalO
   const elapsed = ((Date.now() - startTime) / 1000).toFixed(1);
   const lastOutcome = history.length > 0 ? history[history.length - 1].outcome : "unknown";
   const fixed = lastOutcome === "success";
+  // A flaky failure that passed on re-run has no fix branch to open a PR from
+  const passedOnRetry = fixed &&
+    history.some((h) => h.outcome === "retried") &&
+    !history.some((h) => h.outcome === "fix-pushed");
 
   console.log("");
   console.log(chalk.bold("─── Scoreboard ───\n"));
@@ -430,7 +491,10 @@ async function printWatchScoreboard(startTime, history, totalInputTokens, totalO
   console.log(`    Total:  ~${totalTokens.toLocaleString()} tokens`);
   console.log(`    ${chalk.green(`Savings: ~${savings}% vs 3-call mode`)}`);
 
-  if (fixed) {
+  if (passedOnRetry) {
+    console.log(chalk.bold.green(`\n  CI before: ✖ FAILED → after retry: ✓ PASSING`));
+    console.log(chalk.dim("\n  The failure was transient — no code change was made.\n"));
+  } else if (fixed) {
     console.log(chalk.bold.green(`\n  CI before: ✖ FAILED → after fix: ✓ PASSING`));
     console.log(chalk.bold.green("\n🎉 CI is fixed!\n"));
 
@@ -475,6 +539,7 @@ async function printWatchScoreboard(startTime, history, totalInputTokens, totalO
       : lastOutcome === "timeout" ? "timed out"
       : lastOutcome === "push-failed" ? "push failed"
       : lastOutcome === "apply-failed" ? "patch apply failed"
+      : lastOutcome === "flaky" ? "likely flaky — retry suggested"
       : "max iterations reached";
     console.log(chalk.yellow(`\n  CI before: ✖ FAILED → after fix: ⏳ ${reason.toUpperCase()}`));
     console.log(chalk.dim("\n  Review the latest patch manually: .copilot-ci-doctor/cache/latest-patch.json\n"));
@@ -0,0 +1,91 @@
+/**
+ * cassette.js — Record and replay model calls
+ *
+ * In record mode every call to the provider is stored in a cassette
+ * directory, one file per prompt:
+ *
+ *   <dir>/<mode>-<hash>.json  { key, mode, provider, recordedAt, raw }
+ *
+ * Ensemble samples (`--samples`) get one file each,
+ * `<mode>-<hash>-s<n>.json`, so a repeated prompt replays every sample
+ * rather than the last one n times.
+ *
+ * In replay mode answers come from the cassette instead — no provider is
+ * created at all, so analyze/explain/fix/watch run offline and give the
+ * same result every time. A prompt without a recording is an error, not
+ * a silent fallback to the live model.
+ *
+ * The key is `promptHash()` — the bundle's build timestamp is left out,
+ * so rebuilding the same evidence hits the same recording.
+ */
+
+import fs from "node:fs";
+import path from "node:path";
+import chalk from "chalk";
+import { promptHash } from "../prompts/loadPrompt.js";
+
+/**
+ * @param {string} dir
+ * @param {string} mode
+ * @param {string} key
+ * @param {number} [sample] - Ensemble sample index (0-based).
+ * @returns {string}
+ */
+function cassetteFile(dir, mode, key, sample) {
+  const suffix = sample === undefined ? "" : `-s${sample + 1}`;
+  return path.join(dir, `${mode}-${key.slice(0, 16)}${suffix}.json`);
+}
+
+/**
+ * Wrap provider creation with the configured cassette.
+ *
+ * @param {string} mode - Prompt mode ("hypotheses", "explain", …).
+ * @param {() => object} createProvider - Creates the live provider (not called in replay mode).
+ * @param {{ mode: "record"|"replay", dir: string }|null} cassette - `cassette` from the config.
+ * @returns {{ name: string, label: string, complete: (prompt: string, opts?: { sample?: number }) => Promise<string> }}
+ */
+export function withCassette(mode, createProvider, cassette) {
+  if (!cassette) return createProvider();
+
+  if (cassette.mode === "replay") {
+    return {
+      name: "replay",
+      label: `cassette ${cassette.dir}`,
+      sampling: true, // each sample has its own recording
+      async complete(prompt, { sample } = {}) {
+        const key = promptHash(prompt);
+        const file = cassetteFile(cassette.dir, mode, key, sample);
+        if (!fs.existsSync(file)) {
+          throw new Error(
+            `No recording for this ${mode} prompt (key ${key.slice(0, 16)}) in ${cassette.dir}.\n` +
+            "  Record it with --record (a changed prompt or evidence needs a new recording)."
+          );
+        }
+        console.log(chalk.dim(`⏪ Replaying ${path.basename(file)}`));
+        return JSON.parse(fs.readFileSync(file, "utf-8")).raw;
+      },
+    };
+  }
+
+  const provider = createProvider();
+  return {
+    ...provider,
+    async complete(prompt, opts = {}) {
+      const raw = await provider.complete(prompt, opts);
+      const key = promptHash(prompt);
+      fs.mkdirSync(cassette.dir, { recursive: true });
+      const file = cassetteFile(cassette.dir, mode, key, opts.sample);
+      const recording = {
+        key,
+        mode,
+        ...(opts.sample === undefined ? {} : { sample: opts.sample + 1 }),
+        provider: provider.name,
+        recordedAt: new Date().toISOString(),
+        raw,
+      };
+      fs.writeFileSync(file, JSON.stringify(recording, null, 2), "utf-8");
+      console.log(chalk.dim(`⏺ Recorded → ${file}`));
+      return raw;
+    },
+  };
+}
@@ -1,28 +1,69 @@
 /**
  * contract.js — Copilot response contract validation
  *
- * Every Copilot response MUST conform to the CI_DOCTOR_RESPONSE_V1 contract.
- * This module enforces that strictly so no invalid data leaks downstream.
+ * Every Copilot response MUST conform to the CI_DOCTOR_RESPONSE_V1 or
+ * CI_DOCTOR_RESPONSE_V2 contract (V2 adds structured edits as `patch`).
+ * This module enforces that strictly against the JSON Schemas in
+ * schema.js so no invalid data leaks downstream.
  */
 
-export const RESPONSE_VERSION = "CI_DOCTOR_RESPONSE_V1";
+import Ajv from "ajv";
+import { RESPONSE_SCHEMAS, RESPONSE_VERSION_V1, RESPONSE_VERSION_V2 } from "./schema.js";
+
+export const RESPONSE_VERSION = RESPONSE_VERSION_V1;
+export const RESPONSE_VERSIONS = [RESPONSE_VERSION_V1, RESPONSE_VERSION_V2];
 export const VALID_MODES = ["hypotheses", "explain", "patch", "combined"];
 
+const ajv = new Ajv({ allErrors: true });
+const validators = new Map();
+
+/**
+ * Compiled validator for a version and mode (compiled on first use).
+ * @param {string} version
+ * @param {string} mode
+ * @returns {import("ajv").ValidateFunction}
+ */
+function validatorFor(version, mode) {
+  const key = `${version}/${mode}`;
+  if (!validators.has(key)) validators.set(key, ajv.compile(RESPONSE_SCHEMAS[version][mode]));
+  return validators.get(key);
+}
+
+/**
+ * Turn schema errors into one readable line per problem.
+ * @param {import("ajv").ErrorObject[]} errors
+ * @returns {string}
+ */
+function formatErrors(errors) {
+  const deeper = (e) => errors.some((o) => o.instancePath.startsWith(`${e.instancePath}/`));
+  const lines = errors
+    // oneOf/if failures and type mismatches of the branch not taken repeat what deeper errors say
+    .filter((e) => !["oneOf", "if"].includes(e.keyword) || errors.length === 1)
+    .filter((e) => e.keyword !== "type" || !deeper(e))
+    .map((e) => {
+      const where = e.instancePath ? e.instancePath.slice(1).replace(/\//g, ".") : "response";
+      if (e.keyword === "false schema") return `${where} cannot be combined with search`;
+      const extra = e.keyword === "const" ? ` (${JSON.stringify(e.params.allowedValue)})` : "";
+      return `${where} ${e.message}${extra}`;
+    });
+  return [...new Set(lines)].join("; ");
+}
+
 /**
  * Validate a parsed Copilot response against the CI_DOCTOR contract.
  *
  * @param {object} response - Parsed JSON response.
- * @param {"hypotheses"|"explain"|"patch"} expectedMode
+ * @param {"hypotheses"|"explain"|"patch"|"combined"} expectedMode
  * @throws {Error} If validation fails.
  */
 export function validateResponse(response, expectedMode) {
-  if (!response || typeof response !== "object") {
+  if (!response || typeof response !== "object" || Array.isArray(response)) {
     throw new Error("Copilot response is not a valid JSON object.");
   }
 
-  if (response.version !== RESPONSE_VERSION) {
+  if (!RESPONSE_VERSIONS.includes(response.version)) {
     throw new Error(
-      `Invalid response version: expected "${RESPONSE_VERSION}", got "${response.version}"`
+      `Invalid response version: expected ${RESPONSE_VERSIONS.map((v) => `"${v}"`).join(" or ")}, got "${response.version}"`
     );
   }
 
@@ -38,57 +79,8 @@ export function validateResponse(response, expectedMode) {
     );
   }
 
-  // Mode-specific checks
-  if (expectedMode === "hypotheses") {
-    validateHypotheses(response);
-  } else if (expectedMode === "explain") {
-    validateExplain(response);
-  } else if (expectedMode === "patch") {
-    validatePatch(response);
-  } else if (expectedMode === "combined") {
-    validateHypotheses(response);
-    validateExplain(response);
-    validatePatch(response);
-  }
-}
-
-function validateHypotheses(response) {
-  if (!Array.isArray(response.hypotheses) || response.hypotheses.length === 0) {
-    throw new Error("Hypotheses response must contain a non-empty hypotheses array.");
-  }
-  for (const h of response.hypotheses) {
-    if (typeof h.confidence !== "number" || h.confidence < 0 || h.confidence > 100) {
-      throw new Error(`Invalid confidence value: ${h.confidence}. Must be 0–100.`);
-    }
-    if (!h.title || typeof h.title !== "string") {
-      throw new Error("Each hypothesis must have a title string.");
-    }
-    if (!Array.isArray(h.evidence_refs)) {
-      throw new Error("Each hypothesis must have an evidence_refs array.");
-    }
-  }
-}
-
-function validateExplain(response) {
-  if (typeof response.confidence !== "number" || response.confidence < 0 || response.confidence > 100) {
-    throw new Error("Explain response must include a numeric confidence (0–100).");
-  }
-  if (!response.summary || typeof response.summary !== "string") {
-    throw new Error("Explain response must include a summary string.");
-  }
-  if (!response.explanation || typeof response.explanation !== "string") {
-    throw new Error("Explain response must include an explanation string.");
-  }
-}
-
-function validatePatch(response) {
-  if (typeof response.confidence !== "number" || response.confidence < 0 || response.confidence > 100) {
-    throw new Error("Patch response must include a numeric confidence (0–100).");
-  }
-  if (!response.patch || typeof response.patch !== "string") {
-    throw new Error("Patch response must include a valid unified diff string.");
-  }
-  if (!response.description || typeof response.description !== "string") {
-    throw new Error("Patch response must include a description string.");
+  const validate = validatorFor(response.version, expectedMode);
+  if (!validate(response)) {
+    throw new Error(`Invalid ${expectedMode} response (${response.version}): ${formatErrors(validate.errors)}`);
   }
 }
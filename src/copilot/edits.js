@@ -0,0 +1,173 @@
+/**
+ * edits.js — Turn structured edits (CI_DOCTOR_RESPONSE_V2) into a unified diff
+ *
+ * A V2 patch is a list of edits instead of a hand-written diff:
+ *
+ *   { "file": "src/app.js", "search": "exact text", "replace": "new text" }
+ *   { "file": "package.json", "start_line": 12, "end_line": 13, "replace": "new lines" }
+ *
+ * Edits are applied to the working tree's files in memory, then
+ * `git diff --no-index` writes the diff — so hunk headers, context lines
+ * and line counts always match the real files, and the result passes
+ * `git apply --check` by construction. An edit that can't be placed is an
+ * error the model is told about: a search string that is missing or not
+ * unique, a line range outside the file, overlapping edits, a file that
+ * doesn't exist or lies outside the repo.
+ *
+ * Line ranges are 1-based and inclusive, against the file as it is now
+ * (not after earlier edits). An empty `replace` deletes the lines.
+ */
+
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { execa } from "execa";
+
+/**
+ * Character offsets where each line starts.
+ * @param {string} content
+ * @returns {number[]}
+ */
+function lineOffsets(content) {
+  const offsets = [0];
+  for (let i = 0; i < content.length; i++) {
+    if (content[i] === "\n") offsets.push(i + 1);
+  }
+  return offsets;
+}
+
+/**
+ * Locate one edit in a file's content.
+ *
+ * @param {object} edit
+ * @param {string} content
+ * @param {string} label - "edit 2 (src/app.js)" for error messages.
+ * @returns {{ start: number, end: number, text: string }} Character range and replacement.
+ */
+function locate(edit, content, label) {
+  if (typeof edit.search === "string") {
+    let { search, replace } = edit;
+    // The model writes "\n"; keep a CRLF file CRLF
+    if (content.includes("\r\n") && !search.includes("\r\n")) {
+      search = search.replace(/\n/g, "\r\n");
+      replace = replace.replace(/\r?\n/g, "\r\n");
+    }
+    const start = content.indexOf(search);
+    if (start === -1) {
+      throw new Error(`${label}: search text not found — copy it exactly from the file, including indentation`);
+    }
+    if (content.indexOf(search, start + 1) !== -1) {
+      throw new Error(`${label}: search text matches more than one place — include more surrounding lines`);
+    }
+    return { start, end: start + search.length, text: replace };
+  }
+
+  const offsets = lineOffsets(content);
+  const lineCount = content.endsWith("\n") ? offsets.length - 1 : offsets.length;
+  const { start_line: first, end_line: last } = edit;
+  if (first > last || last > lineCount) {
+    throw new Error(`${label}: lines ${first}–${last} are outside the file (${lineCount} lines)`);
+  }
+  const start = offsets[first - 1];
+  const lineEnd = last < offsets.length ? offsets[last] - 1 : content.length; // before the "\n"
+  if (edit.replace === "") {
+    // Delete the lines with their line break
+    return last < offsets.length ? { start, end: offsets[last], text: "" } : { start: Math.max(0, start - 1), end: lineEnd, text: "" };
+  }
+  return { start, end: lineEnd, text: edit.replace.replace(/\r?\n$/, "") };
+}
+
+/**
+ * Apply a file's edits to its content.
+ *
+ * @param {string} content
+ * @param {{ edit: object, index: number }[]} edits
+ * @param {string} file
+ * @returns {string} New content.
+ */
+function applyEdits(content, edits, file) {
+  const ranges = edits
+    .map(({ edit, index }) => ({ ...locate(edit, content, `edit ${index + 1} (${file})`), index }))
+    .sort((a, b) => a.start - b.start);
+
+  for (let i = 1; i < ranges.length; i++) {
+    if (ranges[i].start < ranges[i - 1].end) {
+      throw new Error(`edits ${ranges[i - 1].index + 1} and ${ranges[i].index + 1} overlap in ${file}`);
+    }
+  }
+
+  let result = "";
+  let cursor = 0;
+  for (const range of ranges) {
+    result += content.slice(cursor, range.start) + range.text;
+    cursor = range.end;
+  }
+  result += content.slice(cursor);
+  // Keep the file's final newline
+  if (content.endsWith("\n") && result.length > 0 && !result.endsWith("\n")) result += "\n";
+  return result;
+}
+
+/**
+ * Unified diff of one file's change, with a/ b/ paths relative to the repo.
+ *
+ * @param {string} file
+ * @param {string} before
+ * @param {string} after
+ * @returns {Promise<string>}
+ */
+async function diffFile(file, before, after) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "ci-doctor-edit-"));
+  try {
+    fs.writeFileSync(path.join(dir, "before"), before);
+    fs.writeFileSync(path.join(dir, "after"), after);
+    const result = await execa(
+      "git",
+      ["diff", "--no-index", "--no-color", "--no-ext-diff", "--", "before", "after"],
+      { cwd: dir, reject: false }
+    );
+    if (result.exitCode !== 1) {
+      throw new Error(`git diff failed for ${file}: ${result.stderr || `exit code ${result.exitCode}`}`);
+    }
+    const hunks = result.stdout.slice(result.stdout.indexOf("\n@@") + 1);
+    return `--- a/${file}\n+++ b/${file}\n${hunks}\n`;
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+/**
+ * Turn structured edits into a unified diff against the working tree.
+ *
+ * @param {{ file: string, search?: string, start_line?: number, end_line?: number, replace: string }[]} edits
+ * @param {object} [opts]
+ * @param {string} [opts.repoRoot] - Working repo (default: cwd).
+ * @returns {Promise<string>} Unified diff, ready for `git apply`.
+ * @throws {Error} If an edit can't be placed.
+ */
+export async function editsToDiff(edits, { repoRoot = process.cwd() } = {}) {
+  const byFile = new Map();
+  edits.forEach((edit, index) => {
+    const file = path.posix.normalize(edit.file.replace(/\\/g, "/").replace(/^(?:\.\/|a\/|b\/)/, ""));
+    if (!byFile.has(file)) byFile.set(file, []);
+    byFile.get(file).push({ edit, index });
+  });
+
+  let diff = "";
+  for (const [file, fileEdits] of byFile) {
+    const full = path.resolve(repoRoot, file);
+    if (path.isAbsolute(file) || path.relative(repoRoot, full).startsWith("..")) {
+      throw new Error(`edit ${fileEdits[0].index + 1}: ${file} is outside the repository`);
+    }
+    if (!fs.existsSync(full) || !fs.statSync(full).isFile()) {
+      throw new Error(`edit ${fileEdits[0].index + 1}: ${file} does not exist`);
+    }
+    const before = fs.readFileSync(full, "utf-8");
+    const after = applyEdits(before, fileEdits, file);
+    if (after === before) {
+      throw new Error(`the edits to ${file} change nothing`);
+    }
+    diff += await diffFile(file, before, after);
+  }
+  return diff;
+}
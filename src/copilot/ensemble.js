@@ -0,0 +1,222 @@
+/**
+ * ensemble.js — Combine several samples into one consensus response
+ *
+ * One sample's self-reported confidence says little; whether independent
+ * samples agree says more. With `--samples <n>` askCopilot() asks the
+ * backend n times (each with a slightly different nudge, see
+ * samplePrompt(), and with a sampling temperature where the backend has
+ * one) and merges the answers here:
+ *
+ *   - hypotheses are clustered by title similarity; clusters are ranked
+ *     by how many samples found them (then by average rank), and each
+ *     gets `agreement` (% of samples) and `model_confidence` (average)
+ *   - patches are grouped by their changed lines (context and hunk
+ *     headers ignored); the largest group wins
+ *   - explanations come from the sample whose patch won, or for explain
+ *     mode the one whose wording is closest to the others (confidence is
+ *     then the average, scaled by the share of samples that were valid)
+ *
+ * For hypotheses and patches, confidence becomes the average model
+ * confidence times the agreement rate. Agreement counts the samples that
+ * were asked for, not the ones that came back valid, so failed samples
+ * lower it (and explain's average confidence) instead of one survivor
+ * agreeing with itself 100%. The result still conforms to the response
+ * contract (extra fields only), with an `ensemble` summary.
+ */
+
+/** Extra instructions that vary the samples (the first sample gets the prompt as-is) */
+const SAMPLE_NUDGES = [
+  "",
+  "Before answering, re-read the log excerpts from the top and work from the first error, not the last one.",
+  "Before answering, look at what changed since the last green run (what_changed, environment) first.",
+  "Before answering, weigh at least one cause other than the most obvious one against the evidence.",
+];
+
+/** Titles at least this similar (Jaccard over words) describe the same hypothesis */
+const SAME_HYPOTHESIS = 0.4;
+
+const STOPWORDS = new Set([
+  "the", "and", "for", "with", "from", "that", "this", "not", "are", "was", "were", "has",
+  "have", "its", "into", "due", "because", "when", "fails", "failure", "failing", "error",
+]);
+
+/**
+ * How many different prompts the samples can get; samples beyond this
+ * repeat a prompt and differ only by the backend's sampling.
+ * @param {boolean} varied - `varySamplePrompts` from the config.
+ * @returns {number}
+ */
+export function distinctSamplePrompts(varied) {
+  return varied ? SAMPLE_NUDGES.length : 1;
+}
+
+/**
+ * Prompt for sample `index` (0-based).
+ * @param {string} prompt
+ * @param {number} index
+ * @returns {string}
+ */
+export function samplePrompt(prompt, index) {
+  const nudge = SAMPLE_NUDGES[index % SAMPLE_NUDGES.length];
+  return nudge ? `${prompt}\n\n${nudge}` : prompt;
+}
+
+/**
+ * @param {string} text
+ * @returns {Set<string>}
+ */
+function words(text) {
+  return new Set(
+    String(text ?? "").toLowerCase().split(/[^a-z0-9.]+/)
+      .filter((w) => w.length > 2 && !STOPWORDS.has(w))
+  );
+}
+
+/**
+ * @param {Set<string>} a
+ * @param {Set<string>} b
+ * @returns {number}
+ */
+function jaccard(a, b) {
+  if (a.size === 0 && b.size === 0) return 1;
+  let shared = 0;
+  for (const w of a) if (b.has(w)) shared++;
+  return shared / (a.size + b.size - shared);
+}
+
+const average = (values) => values.reduce((sum, v) => sum + v, 0) / values.length;
+const percent = (count, total) => Math.round((count / total) * 100);
+
+/**
+ * Cluster hypotheses across samples and rank the clusters by agreement.
+ *
+ * @param {object[]} responses
+ * @param {number} requested - Samples asked for.
+ * @returns {object[]} Consensus hypotheses.
+ */
+function mergeHypotheses(responses, requested) {
+  const clusters = []; // { words, members: [{ sample, hypothesis }] }
+
+  responses.forEach((response, sample) => {
+    for (const hypothesis of response.hypotheses ?? []) {
+      const titleWords = words(hypothesis.title);
+      let best = null;
+      let bestScore = SAME_HYPOTHESIS;
+      for (const cluster of clusters) {
+        if (cluster.members.some((m) => m.sample === sample)) continue;
+        const score = jaccard(titleWords, cluster.words);
+        if (score >= bestScore) {
+          best = cluster;
+          bestScore = score;
+        }
+      }
+      if (best) best.members.push({ sample, hypothesis });
+      else clusters.push({ words: titleWords, members: [{ sample, hypothesis }] });
+    }
+  });
+
+  const limit = Math.max(...responses.map((r) => r.hypotheses?.length ?? 0));
+  return clusters
+    .map((cluster) => {
+      const hs = cluster.members.map((m) => m.hypothesis);
+      const representative = hs.reduce((a, b) => (b.confidence > a.confidence ? b : a));
+      const agreement = percent(cluster.members.length, requested);
+      const modelConfidence = Math.round(average(hs.map((h) => h.confidence)));
+      return {
+        ...representative,
+        confidence: Math.round((modelConfidence * agreement) / 100),
+        model_confidence: modelConfidence,
+        agreement,
+        evidence_refs: [...new Set(hs.flatMap((h) => h.evidence_refs ?? []))],
+        averageRank: average(hs.map((h) => h.rank ?? 99)),
+      };
+    })
+    .sort((a, b) => b.agreement - a.agreement || a.averageRank - b.averageRank)
+    .slice(0, limit)
+    .map(({ averageRank, ...h }, i) => ({ ...h, rank: i + 1 }));
+}
+
+/**
+ * Canonical form of a diff: the files and the lines it adds or removes.
+ * @param {string} patch
+ * @returns {string}
+ */
+function patchSignature(patch) {
+  return String(patch ?? "").split("\n")
+    .filter((l) => l.startsWith("+++ ") || (/^[+-]/.test(l) && !l.startsWith("--- ")))
+    .map((l) => l.replace(/\s+/g, " ").trim())
+    .join("\n");
+}
+
+/**
+ * Group equivalent patches and pick the one most samples agree on.
+ *
+ * @param {object[]} responses
+ * @param {number} requested - Samples asked for.
+ * @returns {{ winner: object, agreement: number, groups: number }}
+ */
+function mergePatches(responses, requested) {
+  const groups = new Map();
+  for (const response of responses) {
+    const key = patchSignature(response.patch);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(response);
+  }
+  const [best] = [...groups.values()].sort((a, b) =>
+    b.length - a.length || average(b.map((r) => r.confidence)) - average(a.map((r) => r.confidence))
+  );
+  const winner = best.reduce((a, b) => (b.confidence > a.confidence ? b : a));
+  const agreement = percent(best.length, requested);
+  const modelConfidence = Math.round(average(best.map((r) => r.confidence)));
+  return {
+    winner: {
+      ...winner,
+      confidence: Math.round((modelConfidence * agreement) / 100),
+      model_confidence: modelConfidence,
+      agreement,
+      evidence_refs: [...new Set(best.flatMap((r) => r.evidence_refs ?? []))],
+    },
+    agreement,
+    groups: groups.size,
+  };
+}
+
+/**
+ * The explanation closest to all the others (by wording).
+ * @param {object[]} responses
+ * @returns {object}
+ */
+function medoidExplanation(responses) {
+  const texts = responses.map((r) => words(`${r.summary} ${r.explanation}`));
+  const closeness = texts.map((t, i) =>
+    texts.reduce((sum, other, j) => (i === j ? sum : sum + jaccard(t, other)), 0)
+  );
+  return responses[closeness.indexOf(Math.max(...closeness))];
+}
+
+/**
+ * Merge contract-valid samples into one consensus response.
+ *
+ * @param {object[]} responses - Valid responses (at least one), all of `mode`.
+ * @param {"hypotheses"|"explain"|"patch"|"combined"} mode
+ * @param {number} requested - Samples asked for (some may have failed).
+ * @returns {object} Contract-valid response with an `ensemble` summary.
+ */
+export function aggregateResponses(responses, mode, requested = responses.length) {
+  const ensemble = { samples: requested, valid: responses.length };
+
+  if (mode === "hypotheses") {
+    return { ...responses[0], hypotheses: mergeHypotheses(responses, requested), ensemble };
+  }
+  if (mode === "explain") {
+    const modelConfidence = Math.round(average(responses.map((r) => r.confidence)));
+    const confidence = Math.round((modelConfidence * responses.length) / requested);
+    return { ...medoidExplanation(responses), confidence, model_confidence: modelConfidence, ensemble };
+  }
+
+  // patch / combined: the patch most samples agree on, with its own explanation
+  const { winner, agreement, groups } = mergePatches(responses, requested);
+  const merged = { ...winner, ensemble: { ...ensemble, agreement, patch_groups: groups } };
+  if (mode === "combined") merged.hypotheses = mergeHypotheses(responses, requested);
+  return merged;
+}
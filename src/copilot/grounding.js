@@ -0,0 +1,227 @@
+/**
+ * grounding.js — Check a response against the evidence it claims to use
+ *
+ * The contract (contract.js) checks a response's shape; this checks its
+ * claims. Each of the following counts as one check:
+ *   - every evidence ref must name an item in the bundle ("E4" also
+ *     covers "E4.1", "E4.2", …)
+ *   - quoted snippets (`code spans` and "quotes" of 16+ characters) in
+ *     the diagnosis must appear in the evidence
+ *   - file paths mentioned must exist in the repo or appear in the evidence
+ *     (a span counts as a path only with a `/`, a `:line` suffix or a
+ *     known file extension — `process.env` and `matrix.node` are not)
+ *   - every file a patch touches must exist (unless it is created), and
+ *     each hunk's context and removed lines must be in that file
+ *
+ * The grounding score is the share of checks that passed. It scales the
+ * model's self-reported confidence down: 80% confidence with 75% grounding
+ * is an effective confidence of 60%.
+ */
+
+import fs from "node:fs";
+import path from "node:path";
+
+/** Quotes shorter than this are too generic to check (`npm ci`, "error") */
+const MIN_QUOTE_LENGTH = 16;
+
+/** Response fields that describe the failure (suggestions and warnings are not checked) */
+const DIAGNOSIS_FIELDS = ["summary", "explanation", "plain_english", "why_local_differs", "what_changed"];
+
+/** Something shaped like a relative file path, optionally with `:line` */
+const FILE_PATH = /^(?:\.\/)?(?:[\w.@-]+\/)*[\w.@-]+\.[A-Za-z][\w]{0,9}(?::\d+(?::\d+)?)?$/;
+
+/** Extensions that make a bare `name.ext` a file rather than a dotted identifier */
+const FILE_EXTENSIONS = new Set([
+  "js", "mjs", "cjs", "jsx", "ts", "mts", "cts", "tsx", "json", "yml", "yaml", "toml", "xml",
+  "py", "go", "rs", "java", "kt", "gradle", "cs", "csproj", "rb", "php", "c", "h", "cpp",
+  "hpp", "swift", "sh", "md", "txt", "lock", "cfg", "ini", "properties", "mod", "sum",
+  "html", "css", "scss", "vue", "svelte",
+]);
+
+/**
+ * Is a span a file path? Dotted identifiers (`process.env`,
+ * `matrix.node`) match FILE_PATH too, so a bare name needs a known
+ * extension; a `/` or a `:line` suffix is enough on its own.
+ * @param {string} span
+ * @returns {boolean}
+ */
+function looksLikePath(span) {
+  if (!FILE_PATH.test(span)) return false;
+  if (span.includes("/") || /:\d+$/.test(span)) return true;
+  return FILE_EXTENSIONS.has(span.slice(span.lastIndexOf(".") + 1).toLowerCase());
+}
+
+/** Line-number prefixes of log excerpts and source snippets ("  42 | ", "> 42 | ") */
+const LINE_PREFIX = /^\s*>?\s*\d+ \| /gm;
+
+const normalize = (text) => text.replace(/\s+/g, " ").trim();
+
+/**
+ * All text in the evidence, with excerpt line numbers removed.
+ * @param {object} bundle
+ * @returns {string}
+ */
+function evidenceText(bundle) {
+  const parts = [];
+  const collect = (value) => {
+    if (typeof value === "string") parts.push(value.replace(LINE_PREFIX, ""));
+    else if (Array.isArray(value)) value.forEach(collect);
+    else if (value && typeof value === "object") Object.values(value).forEach(collect);
+  };
+  collect(bundle.evidence);
+  return normalize(parts.join("\n"));
+}
+
+/**
+ * Running tally of checks.
+ * @returns {{ passed: number, total: number, problems: string[], check: (ok: boolean, problem: string) => void }}
+ */
+function tally() {
+  const t = {
+    passed: 0,
+    total: 0,
+    problems: [],
+    check(ok, problem) {
+      t.total++;
+      if (ok) t.passed++;
+      else t.problems.push(problem);
+    },
+  };
+  return t;
+}
+
+/**
+ * Check evidence refs against the bundle's IDs.
+ * @param {string[]} refs
+ * @param {string[]} ids
+ * @param {ReturnType<typeof tally>} t
+ */
+function checkRefs(refs, ids, t) {
+  for (const ref of refs ?? []) {
+    const id = String(ref).match(/^E\d+(?:\.\d+)*/)?.[0];
+    const known = id && ids.some((x) => x === id || x.startsWith(`${id}.`));
+    t.check(Boolean(known), `unknown evidence ref ${ref}`);
+  }
+}
+
+/**
+ * Check quoted snippets and file paths in free text.
+ * @param {string|string[]} text
+ * @param {string} evidence - evidenceText() of the bundle.
+ * @param {string} repoRoot
+ * @param {ReturnType<typeof tally>} t
+ */
+function checkText(text, evidence, repoRoot, t) {
+  if (Array.isArray(text)) return text.forEach((item) => checkText(item, evidence, repoRoot, t));
+  if (typeof text !== "string") return;
+  const spans = [
+    ...[...text.matchAll(/`([^`\n]+)`/g)].map((m) => m[1]),
+    ...[...text.matchAll(/"([^"\n]+)"/g)].map((m) => m[1]),
+  ];
+  for (const span of new Set(spans.map((s) => s.trim()))) {
+    if (looksLikePath(span)) {
+      const file = span.replace(/(?::\d+)+$/, "");
+      const exists = evidence.includes(file) || fs.existsSync(path.join(repoRoot, file));
+      t.check(exists, `file not in repo or evidence: ${file}`);
+    } else if (span.length >= MIN_QUOTE_LENGTH) {
+      t.check(evidence.includes(normalize(span)), `quote not in evidence: "${span.slice(0, 60)}"`);
+    }
+  }
+}
+
+/**
+ * Check a unified diff against the working tree.
+ * @param {string} patch
+ * @param {string} repoRoot
+ * @param {ReturnType<typeof tally>} t
+ */
+function checkPatch(patch, repoRoot, t) {
+  if (typeof patch !== "string") return;
+  let lines = null; // trimmed lines of the current file, null if it doesn't exist
+  let file = null;
+  let hunk = null;
+  const endHunk = () => {
+    if (hunk && lines) {
+      const missing = hunk.expected.find((l) => l && !lines.has(l));
+      t.check(!missing, `patch context not in ${file}: "${(missing ?? "").slice(0, 60)}"`);
+    }
+    hunk = null;
+  };
+
+  for (const line of patch.split("\n")) {
+    if (line.startsWith("--- ")) {
+      endHunk();
+      const target = line.slice(4).trim().replace(/^a\//, "");
+      file = target === "/dev/null" ? null : target;
+      lines = null;
+      if (file) {
+        const full = path.join(repoRoot, file);
+        const exists = fs.existsSync(full) && fs.statSync(full).isFile();
+        t.check(exists, `patched file does not exist: ${file}`);
+        if (exists) lines = new Set(fs.readFileSync(full, "utf-8").split("\n").map((l) => l.trim()));
+      }
+    } else if (line.startsWith("+++ ")) {
+      continue;
+    } else if (line.startsWith("@@")) {
+      endHunk();
+      hunk = { expected: [] };
+    } else if (hunk && (line.startsWith(" ") || line.startsWith("-"))) {
+      hunk.expected.push(line.slice(1).trim());
+    }
+  }
+  endHunk();
+}
+
+/**
+ * Grounding score and effective confidence for a tally.
+ * @param {ReturnType<typeof tally>} t
+ * @param {number|undefined} confidence - Model's self-reported confidence.
+ * @returns {{ score: number, confidence: number|null, checks: number, problems: string[] }}
+ */
+function result(t, confidence) {
+  const score = t.total === 0 ? 100 : Math.round((t.passed / t.total) * 100);
+  return {
+    score,
+    confidence: typeof confidence === "number" ? Math.round((confidence * score) / 100) : null,
+    checks: t.total,
+    problems: t.problems,
+  };
+}
+
+/**
+ * Check how well a validated response is grounded in the evidence bundle
+ * and the repo.
+ *
+ * @param {object} response - Contract-valid response.
+ * @param {object} bundle - The evidence bundle it was given.
+ * @param {object} [opts]
+ * @param {string} [opts.repoRoot] - Working repo (default: cwd).
+ * @returns {{ score: number, confidence: number|null, checks: number, problems: string[],
+ *   hypotheses?: { rank: number, score: number, confidence: number }[] }}
+ *   `confidence` is the effective (grounding-adjusted) confidence; null for
+ *   hypotheses responses, which carry one per hypothesis instead.
+ */
+export function checkGrounding(response, bundle, { repoRoot = process.cwd() } = {}) {
+  const ids = (bundle?.evidence ?? []).map((e) => e.id);
+  const evidence = evidenceText(bundle ?? {});
+  const overall = tally();
+
+  checkRefs(response.evidence_refs, ids, overall);
+  for (const field of DIAGNOSIS_FIELDS) checkText(response[field], evidence, repoRoot, overall);
+  checkPatch(response.patch, repoRoot, overall);
+
+  let hypotheses;
+  if (Array.isArray(response.hypotheses)) {
+    hypotheses = response.hypotheses.map((h) => {
+      const t = tally();
+      checkRefs(h.evidence_refs, ids, t);
+      checkText(h.explanation, evidence, repoRoot, t);
+      overall.passed += t.passed;
+      overall.total += t.total;
+      overall.problems.push(...t.problems.map((p) => `#${h.rank}: ${p}`));
+      return { rank: h.rank, ...result(t, h.confidence) };
+    });
+  }
+
+  return { ...result(overall, response.confidence), ...(hypotheses ? { hypotheses } : {}) };
+}
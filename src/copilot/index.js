@@ -5,17 +5,36 @@
  * that all commands use to get AI-powered analysis.
  *
  * Flow:
- *   1. Load and render the prompt template
- *   2. Invoke Copilot CLI
- *   3. Extract JSON from raw output
- *   4. Validate against the CI_DOCTOR contract
- *   5. Return structured response
+ *   1. Load and render the prompt template (bundle fitted to the token budget)
+ *   2. Return a cached response if the same prompt was answered recently
+ *      (see responseCache.js) — with `confirmSend`, show the prompt and ask
+ *      before going further
+ *   3. Send it to the configured provider (Copilot CLI by default, see providers/),
+ *      or record/replay it through a cassette (see cassette.js) — with
+ *      `samples` > 1, several times, merged by consensus (see ensemble.js)
+ *   4. Extract JSON from raw output, validate it against the CI_DOCTOR contract
+ *      (V1 or V2) and turn V2 structured edits into a diff (see edits.js)
+ *      — if that fails, repair the JSON locally, then re-prompt with the
+ *      error (see repair.js); every attempt is logged to the cache
+ *   5. Cache the structured response and return it with a grounding check
+ *      (refs, quotes, paths and patch context vs. the evidence — see grounding.js)
  */
 
-import { invokeCopilotCli } from "./invoke.js";
+import chalk from "chalk";
+import { getProvider } from "./providers/index.js";
+import { withCassette } from "./cassette.js";
 import { validateResponse } from "./contract.js";
-import { loadPrompt } from "../prompts/loadPrompt.js";
-import { writeCacheText } from "../utils/paths.js";
+import { checkGrounding } from "./grounding.js";
+import { samplePrompt, aggregateResponses, distinctSamplePrompts } from "./ensemble.js";
+import { editsToDiff } from "./edits.js";
+import { renderPrompt } from "../prompts/loadPrompt.js";
+import { repairLocally, repairPrompt, isTruncated } from "./repair.js";
+import { responseCacheKey, readCachedResponse, writeCachedResponse } from "./responseCache.js";
+import { redact } from "../evidence/redact.js";
+import { writeCache, writeCacheText } from "../utils/paths.js";
+import { printBudget, printPayload, printPromptSource, confirm } from "../utils/print.js";
+import { loadConfig } from "../utils/config.js";
+import { estimateTokens } from "../utils/tokens.js";
 
 /**
  * Extract a JSON object from Copilot's raw output.
@@ -46,42 +65,254 @@ function extractJSON(raw) {
   }
 }
 
+/** @param {string} mode */
+const repairLogFile = (mode) => `latest-repair-log-${mode}.json`;
+
+/** @param {string} text */
+const firstLine = (text) => text.split("\n")[0];
+
+/**
+ * Turn V2 structured edits into a unified diff (see edits.js), so
+ * commands only ever see `patch` as a diff; the edits are kept as `edits`.
+ * @param {object} response - Contract-valid response.
+ * @returns {Promise<object>}
+ * @throws {Error} If an edit can't be placed (the model is re-prompted with it).
+ */
+async function resolveEdits(response) {
+  if (!Array.isArray(response.patch)) return response;
+  try {
+    return { ...response, edits: response.patch, patch: await editsToDiff(response.patch) };
+  } catch (err) {
+    throw new Error(`Invalid structured edit: ${err.message}`);
+  }
+}
+
+/**
+ * Record every attempt of one askCopilot() call for debugging (in
+ * ensemble mode, every sample's attempts, each tagged with `sample`).
+ * @param {string} mode
+ * @param {object[]} attempts
+ */
+function writeRepairLog(mode, attempts) {
+  writeCache(repairLogFile(mode), { mode, timestamp: new Date().toISOString(), attempts });
+}
+
+/**
+ * Show a prompt exactly as it will be sent and ask before sending it
+ * (`--confirm-send`). Declining throws an error marked `declined`.
+ *
+ * @param {string} prompt
+ * @param {string} what - "explain prompt", "explain repair prompt", …
+ * @param {{ label: string }} provider
+ */
+async function confirmPayload(prompt, what, provider) {
+  printPayload(prompt, estimateTokens(prompt));
+  if (!(await confirm(`Send this ${what} to ${provider.label}?`))) {
+    throw Object.assign(new Error("Prompt not sent — declined at the --confirm-send check."), { declined: true });
+  }
+}
+
 /**
  * Call Copilot CLI with a rendered prompt and return a validated response.
  *
  * @param {object} opts
- * @param {"hypotheses"|"explain"|"patch"} opts.mode
+ * @param {"hypotheses"|"explain"|"patch"|"combined"} opts.mode
  * @param {object} opts.evidenceBundle - The evidence bundle JSON.
- * @returns {Promise<object>} Validated Copilot response.
+ * @param {string} [opts.failureKey] - Cache responses by this failure
+ *   signature instead of the rendered prompt (see responseCache.js).
+ * @returns {Promise<object>} Validated Copilot response, with
+ *   `prompt_source` (the template and project context it was asked with)
+ *   and `grounding`; `cached: true` when it came from the response cache
+ *   and nothing was sent.
  */
-export async function askCopilot({ mode, evidenceBundle }) {
+export async function askCopilot({ mode, evidenceBundle, failureKey }) {
   // Step 1 — Render prompt
-  const promptText = loadPrompt(mode, evidenceBundle);
+  const { text: promptText, budget, source } = renderPrompt(mode, evidenceBundle);
+  printPromptSource(source);
+  printBudget(budget);
+
+  // Step 2 — Reuse a cached answer (never while recording or replaying a cassette)
+  const config = loadConfig();
+  const useCache = config.responseCache && !config.cassette;
+  const cacheKey = useCache ? responseCacheKey({ mode, prompt: promptText, config, templateVersion: source.version, failureKey }) : null;
+  const cached = useCache ? readCachedResponse(mode, cacheKey, config.responseCacheTtlHours) : null;
+  if (cached) {
+    console.log(chalk.cyan(
+      `♻ Cached ${mode} response from ${cached.createdAt} (${cached.provider}) — nothing sent. Use --no-cache to ask again.`
+    ));
+    return withGrounding({ ...cached.response, prompt_source: source, cached: true }, evidenceBundle);
+  }
 
-  // Step 2 — Invoke Copilot CLI
-  const raw = await invokeCopilotCli(promptText);
+  const provider = withCassette(mode, () => getProvider(config), config.cassette);
+  if (config.confirmSend) await confirmPayload(promptText, `${mode} prompt`, provider);
+
+  // Step 3 — Send to the provider (n samples in ensemble mode), repairing or re-prompting as needed
+  const response = config.samples > 1
+    ? await completeEnsemble({ provider, mode, promptText, config })
+    : await completeWithRepair({ provider, mode, promptText, repairAttempts: config.repairAttempts, confirmSend: config.confirmSend });
+  if (useCache) writeCachedResponse(mode, cacheKey, response, provider.name, source.version);
+  return withGrounding({ ...response, prompt_source: source }, evidenceBundle);
+}
 
-  if (!raw || raw.trim().length === 0) {
-    throw new Error("Copilot CLI returned an empty response.");
+/**
+ * Attach the grounding check (against the current bundle and working tree).
+ * @param {object} response
+ * @param {object} evidenceBundle
+ * @returns {object} Response with `grounding` (see grounding.js).
+ */
+function withGrounding(response, evidenceBundle) {
+  return { ...response, grounding: checkGrounding(response, evidenceBundle) };
+}
+
+/**
+ * Ask for `config.samples` responses and merge them by consensus
+ * (see ensemble.js). Failed samples are skipped; all failing is an error.
+ *
+ * @param {object} opts
+ * @param {object} opts.provider
+ * @param {string} opts.mode
+ * @param {string} opts.promptText
+ * @param {object} opts.config - Effective config (samples, varySamplePrompts, repairAttempts).
+ * @returns {Promise<object>}
+ */
+async function completeEnsemble({ provider, mode, promptText, config }) {
+  const distinct = distinctSamplePrompts(config.varySamplePrompts);
+  if (config.samples > distinct && !provider.sampling) {
+    console.log(chalk.yellow(
+      `⚠ ${config.samples} samples but only ${distinct} distinct prompt(s): ${provider.label} may answer a repeated prompt ` +
+      "the same way, which overstates agreement."
+    ));
   }
 
-  // Step 3 — Extract JSON (with debug dump on failure)
-  let parsed;
+  const responses = [];
+  const log = [];
+  const confirmed = new Set([promptText]); // askCopilot() confirmed the original
+  let lastError = null;
   try {
-    parsed = extractJSON(raw);
-  } catch (err) {
-    // Save raw output to debug file for inspection (redacted)
-    const { redact } = await import("../evidence/redact.js");
-    writeCacheText("copilot-raw-output-debug.txt", redact(raw));
-    throw new Error(
-      `${err.message}\n  Raw output saved to .copilot-ci-doctor/cache/copilot-raw-output-debug.txt`
-    );
+    for (let i = 0; i < config.samples; i++) {
+      console.log(chalk.dim(`🎲 Sample ${i + 1}/${config.samples}`));
+      const prompt = config.varySamplePrompts ? samplePrompt(promptText, i) : promptText;
+      if (config.confirmSend && !confirmed.has(prompt)) {
+        await confirmPayload(prompt, `${mode} prompt (sample ${i + 1}, with a nudge)`, provider);
+        confirmed.add(prompt);
+      }
+      try {
+        responses.push(await completeWithRepair({
+          provider,
+          mode,
+          promptText: prompt,
+          repairAttempts: config.repairAttempts,
+          confirmSend: config.confirmSend,
+          sample: i,
+          log,
+        }));
+      } catch (err) {
+        if (err.declined) throw err;
+        lastError = err;
+        console.log(chalk.yellow(`⚠ Sample ${i + 1} failed: ${firstLine(err.message)}`));
+      }
+    }
+  } finally {
+    writeRepairLog(mode, log);
   }
+  if (responses.length === 0) {
+    throw new Error(`All ${config.samples} samples failed. Last error: ${lastError.message}`);
+  }
+
+  const merged = aggregateResponses(responses, mode, config.samples);
+  validateResponse(merged, mode);
+  return merged;
+}
 
-  // Step 4 — Validate contract
-  validateResponse(parsed, mode);
+/**
+ * Send a prompt and return a contract-valid response. Unusable output
+ * is repaired locally first, then re-prompted with the error (up to
+ * `repairAttempts` times); every attempt is logged to the cache.
+ *
+ * @param {object} opts
+ * @param {{ label: string, complete: (prompt: string, opts?: { sample?: number }) => Promise<string> }} opts.provider
+ * @param {string} opts.mode
+ * @param {string} opts.promptText
+ * @param {number} opts.repairAttempts
+ * @param {boolean} [opts.confirmSend] - Show each re-prompt (it adds the
+ *   previous answer and the error) and ask before sending it.
+ * @param {number} [opts.sample] - Ensemble sample index (0-based), unset for a single call.
+ * @param {object[]} [opts.log] - Collect the attempts here instead of
+ *   writing the repair log (the ensemble writes one log for all samples).
+ * @returns {Promise<object>}
+ */
+async function completeWithRepair({ provider, mode, promptText, repairAttempts, confirmSend = false, sample, log }) {
+  const attempts = [];
+  const saveLog = () => (log ? log.push(...attempts) : writeRepairLog(mode, attempts));
+  let prompt = promptText;
+  let raw = "";
+  let error = "";
+  for (let attempt = 1; attempt <= repairAttempts + 1; attempt++) {
+    if (confirmSend && attempt > 1) {
+      try {
+        await confirmPayload(prompt, `${mode} repair prompt`, provider);
+      } catch (err) {
+        saveLog();
+        throw err;
+      }
+    }
+    raw = (await provider.complete(prompt, { sample })) ?? "";
+    const record = (outcome, details = {}) =>
+      attempts.push({
+        ...(sample === undefined ? {} : { sample: sample + 1 }),
+        attempt,
+        prompt: attempt === 1 ? "original" : "repair",
+        outcome,
+        ...details,
+        raw: redact(raw),
+      });
+
+    // Extract JSON and validate the contract
+    try {
+      if (raw.trim().length === 0) {
+        throw new Error(`${provider.label} returned an empty response.`);
+      }
+      const parsed = extractJSON(raw);
+      validateResponse(parsed, mode);
+      const response = await resolveEdits(parsed);
+      record("valid");
+      saveLog();
+      return response;
+    } catch (err) {
+      error = err.message;
+    }
+
+    const fixed = repairLocally(raw, mode);
+    if (fixed) {
+      try {
+        const response = await resolveEdits(fixed.response);
+        record(fixed.repaired ? "repaired" : "valid", { error: firstLine(error) });
+        saveLog();
+        console.log(chalk.dim(`🔧 Repaired ${provider.label}'s response locally (${firstLine(error)})`));
+        return response;
+      } catch (err) {
+        error = err.message;
+      }
+    } else if (isTruncated(raw)) {
+      error = "The reply was cut off before the JSON object was complete — keep the explanation and patch shorter.";
+    }
+    record("invalid", { error: firstLine(error) });
+
+    if (attempt <= repairAttempts) {
+      console.log(chalk.yellow(
+        `⚠ Unusable response: ${firstLine(error)}\n  Asking ${provider.label} to correct it (retry ${attempt}/${repairAttempts})…`
+      ));
+      prompt = repairPrompt(promptText, raw, firstLine(error));
+    }
+  }
 
-  return parsed;
+  // Give up (with debug dump of the last raw output)
+  saveLog();
+  writeCacheText("copilot-raw-output-debug.txt", redact(raw));
+  throw new Error(
+    `${error}\n  Raw output saved to .copilot-ci-doctor/cache/copilot-raw-output-debug.txt` +
+    `\n  ${attempts.length} attempt(s) logged in .copilot-ci-doctor/cache/${repairLogFile(mode)}`
+  );
 }
 
 export { extractJSON };
@@ -0,0 +1,42 @@
+/**
+ * command.js — Any command that reads the prompt on stdin
+ *
+ * The command runs through the shell with the rendered prompt on stdin;
+ * whatever it prints on stdout is treated as the model's answer. Handy
+ * for wrappers around self-hosted models or other CLIs. During `--samples`
+ * the command gets `CI_DOCTOR_SAMPLE` (1, 2, …) so it can vary its
+ * sampling.
+ */
+
+import { execa } from "execa";
+import chalk from "chalk";
+
+/**
+ * @param {object} settings - `providers.command` from the project config.
+ * @param {string} settings.run - Shell command, e.g. "llm -m my-model".
+ * @param {number} [settings.timeoutSec=180]
+ * @returns {{ name: string, label: string, complete: (prompt: string, opts?: { sample?: number }) => Promise<string> }}
+ */
+export function createCommandProvider(settings = {}) {
+  if (!settings.run) {
+    throw new Error('The command provider needs a command: set providers.command.run in .copilot-ci-doctor/config.json.');
+  }
+  return {
+    name: "command",
+    label: `\`${settings.run}\``,
+    async complete(prompt, { sample } = {}) {
+      console.log(chalk.dim(`⏳ Running \`${settings.run}\`…`));
+      try {
+        const result = await execa(settings.run, {
+          shell: true,
+          input: prompt,
+          ...(sample === undefined ? {} : { env: { CI_DOCTOR_SAMPLE: String(sample + 1) } }),
+          timeout: (settings.timeoutSec ?? 180) * 1000,
+        });
+        return result.stdout;
+      } catch (err) {
+        throw new Error(`\`${settings.run}\` failed:\n${err.stderr || err.message}`);
+      }
+    },
+  };
+}
@@ -0,0 +1,20 @@
+/**
+ * copilot.js — GitHub Copilot CLI provider (the default)
+ *
+ * Sends the prompt with `gh copilot -p … -s` (see invoke.js).
+ */
+
+import { invokeCopilotCli } from "../invoke.js";
+
+/**
+ * @param {object} [settings] - `providers.copilot` from the project config.
+ * @param {number} [settings.timeoutSec=180]
+ * @returns {{ name: string, label: string, complete: (prompt: string) => Promise<string> }}
+ */
+export function createCopilotProvider(settings = {}) {
+  return {
+    name: "copilot",
+    label: "Copilot CLI",
+    complete: (prompt) => invokeCopilotCli(prompt, (settings.timeoutSec ?? 180) * 1000),
+  };
+}
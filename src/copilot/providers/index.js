@@ -0,0 +1,62 @@
+/**
+ * index.js — Reasoning backends behind `askCopilot()`
+ *
+ * A provider turns a rendered prompt into raw model output:
+ *   { name, label, sampling?, complete(prompt, { sample }) → Promise<string> }
+ * `sample` is the ensemble sample index (unset outside `--samples`);
+ * `sampling` says the provider varies its answers per sample (e.g. with a
+ * temperature), so repeating a prompt still gives independent samples.
+ * Extraction and contract validation stay in copilot/index.js, so every
+ * provider is held to the same response format.
+ *
+ * The provider is picked by `--provider` or `provider` in the project
+ * config; its settings live under `providers.<name>`. Every provider
+ * accepts `"structuredEdits": true|false` there to choose between the V2
+ * (structured edits) and V1 (unified diff) patch prompts.
+ */
+
+import { loadConfig } from "../../utils/config.js";
+import { createCopilotProvider } from "./copilot.js";
+import { createOpenAIProvider } from "./openai.js";
+import { createCommandProvider } from "./command.js";
+
+const PROVIDERS = {
+  copilot: createCopilotProvider,
+  openai: createOpenAIProvider,
+  command: createCommandProvider,
+};
+
+/** Names accepted by `--provider` */
+export const PROVIDER_NAMES = Object.keys(PROVIDERS);
+
+/**
+ * Backends that get the CI_DOCTOR_RESPONSE_V2 prompts (structured edits
+ * instead of a raw diff). A command backend is an arbitrary script, so it
+ * keeps V1 unless its settings say `"structuredEdits": true`.
+ */
+const STRUCTURED_EDITS = { copilot: true, openai: true, command: false };
+
+/**
+ * Should prompts ask the configured backend for structured edits?
+ *
+ * @param {object} [config] - Effective config (default: `loadConfig()`).
+ * @returns {boolean}
+ */
+export function supportsStructuredEdits(config = loadConfig()) {
+  const settings = config.providers?.[config.provider] ?? {};
+  return settings.structuredEdits ?? STRUCTURED_EDITS[config.provider] ?? false;
+}
+
+/**
+ * Create the configured provider.
+ *
+ * @param {object} [config] - Effective config (default: `loadConfig()`).
+ * @returns {{ name: string, label: string, sampling?: boolean, complete: (prompt: string, opts?: { sample?: number }) => Promise<string> }}
+ */
+export function getProvider(config = loadConfig()) {
+  const create = PROVIDERS[config.provider];
+  if (!create) {
+    throw new Error(`Unknown provider "${config.provider}" (expected ${PROVIDER_NAMES.join(", ")}).`);
+  }
+  return create(config.providers?.[config.provider] ?? {});
+}
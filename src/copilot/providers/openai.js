@@ -0,0 +1,71 @@
+/**
+ * openai.js — Any OpenAI-compatible chat completions endpoint
+ *
+ * Works with hosted APIs and local servers that speak the same protocol
+ * (Ollama, vLLM, LM Studio, llama.cpp server, …). The API key is read
+ * from an environment variable, never from the config file.
+ */
+
+import chalk from "chalk";
+
+const DEFAULT_BASE_URL = "https://api.openai.com/v1";
+const DEFAULT_API_KEY_ENV = "OPENAI_API_KEY";
+
+/** Temperature for ensemble samples; single calls stay at 0 */
+const DEFAULT_SAMPLE_TEMPERATURE = 0.7;
+
+/**
+ * @param {object} settings - `providers.openai` from the project config.
+ * @param {string} [settings.baseUrl] - e.g. "http://localhost:11434/v1".
+ * @param {string} settings.model
+ * @param {string} [settings.apiKeyEnv="OPENAI_API_KEY"] - Env var holding the key (optional for local servers).
+ * @param {number} [settings.timeoutSec=180]
+ * @param {number} [settings.sampleTemperature=0.7] - Temperature for `--samples` calls.
+ * @returns {{ name: string, label: string, sampling: boolean, complete: (prompt: string, opts?: { sample?: number }) => Promise<string> }}
+ */
+export function createOpenAIProvider(settings = {}) {
+  if (!settings.model) {
+    throw new Error('The openai provider needs a model: set providers.openai.model in .copilot-ci-doctor/config.json.');
+  }
+  const baseUrl = (settings.baseUrl ?? DEFAULT_BASE_URL).replace(/\/+$/, "");
+  const apiKey = process.env[settings.apiKeyEnv ?? DEFAULT_API_KEY_ENV];
+  const timeoutMs = (settings.timeoutSec ?? 180) * 1000;
+
+  return {
+    name: "openai",
+    label: `${settings.model} at ${baseUrl}`,
+    sampling: true,
+    async complete(prompt, { sample } = {}) {
+      console.log(chalk.dim(`⏳ Calling ${settings.model} (${baseUrl})…`));
+      let response;
+      try {
+        response = await fetch(`${baseUrl}/chat/completions`, {
+          method: "POST",
+          headers: {
+            "Content-Type": "application/json",
+            ...(apiKey ? { Authorization: `Bearer ${apiKey}` } : {}),
+          },
+          body: JSON.stringify({
+            model: settings.model,
+            messages: [{ role: "user", content: prompt }],
+            // independent ensemble samples need sampling; a single answer should be the most likely one
+            temperature: sample === undefined ? 0 : (settings.sampleTemperature ?? DEFAULT_SAMPLE_TEMPERATURE),
+          }),
+          signal: AbortSignal.timeout(timeoutMs),
+        });
+      } catch (err) {
+        throw new Error(`Request to ${baseUrl} failed: ${err.cause?.message ?? err.message}`);
+      }
+
+      const body = await response.text();
+      if (!response.ok) {
+        throw new Error(`${baseUrl} answered ${response.status}: ${body.slice(0, 500)}`);
+      }
+      try {
+        return JSON.parse(body).choices?.[0]?.message?.content ?? "";
+      } catch {
+        throw new Error(`${baseUrl} did not return a chat completion: ${body.slice(0, 500)}`);
+      }
+    },
+  };
+}
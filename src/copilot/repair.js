@@ -0,0 +1,139 @@
+/**
+ * repair.js — Recover a usable response from malformed model output
+ *
+ * Models sometimes answer with almost-JSON: a trailing comma, a stray
+ * closing brace, or several fenced blocks of which only one is the answer.
+ * Before asking the model again, askCopilot() tries to fix the output
+ * locally:
+ *
+ *   1. collect candidates — every ```fenced``` block, then the text from
+ *      the first "{" (the same place extractJSON() looks)
+ *   2. parse each one as-is, then repaired (trailing commas and stray
+ *      closers dropped)
+ *   3. keep the first candidate that passes the response contract
+ *
+ * Repairs are structural only. A reply cut off mid-string or with open
+ * braces/brackets is never completed locally: closing it would turn a
+ * truncated diff into a valid-looking partial fix. It goes back to the
+ * model instead, and `repairPrompt()` builds the follow-up prompt that
+ * tells the model exactly what was wrong with its last answer.
+ */
+
+import { validateResponse } from "./contract.js";
+
+const CLOSERS = { "{": "}", "[": "]" };
+
+/**
+ * Drop trailing commas and stray closers. String contents are copied
+ * untouched.
+ *
+ * @param {string} text - Text starting at the first "{".
+ * @returns {string|null} Repaired text, or null when the reply is
+ *   truncated (an unterminated string or unclosed braces/brackets).
+ */
+export function repairJSON(text) {
+  const stack = [];
+  let out = "";
+  let inString = false;
+  let escaped = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (inString) {
+      out += ch;
+      if (escaped) escaped = false;
+      else if (ch === "\\") escaped = true;
+      else if (ch === '"') inString = false;
+      continue;
+    }
+    if (ch === '"') {
+      inString = true;
+    } else if (ch === "{" || ch === "[") {
+      stack.push(CLOSERS[ch]);
+    } else if (ch === "}" || ch === "]") {
+      if (stack[stack.length - 1] !== ch) continue; // stray closer
+      stack.pop();
+      out = out.replace(/,\s*$/, "");
+      out += ch;
+      if (stack.length === 0) return out; // ignore anything after the object
+      continue;
+    }
+    out += ch;
+  }
+
+  return null; // ran out of text before the object closed
+}
+
+/**
+ * Pieces of raw output that may hold the response object, most likely first.
+ * @param {string} raw
+ * @returns {string[]}
+ */
+function candidates(raw) {
+  const found = [];
+  for (const match of raw.matchAll(/```(?:json)?\s*\n?([\s\S]*?)(?:\n?```|$)/g)) {
+    const start = match[1].indexOf("{");
+    if (start !== -1) found.push(match[1].slice(start).trim());
+  }
+  const start = raw.indexOf("{");
+  if (start !== -1) found.push(raw.slice(start).trim());
+  return [...new Set(found)];
+}
+
+/**
+ * Try to turn raw output into a contract-valid response without asking
+ * the model again.
+ *
+ * @param {string} raw
+ * @param {string} mode - Expected response mode.
+ * @returns {{ response: object, repaired: boolean }|null} `repaired` is true
+ *   when the JSON had to be fixed up; null when nothing usable was found.
+ */
+export function repairLocally(raw, mode) {
+  for (const candidate of candidates(raw)) {
+    for (const [text, repaired] of [[candidate, false], [repairJSON(candidate), true]]) {
+      if (text === null) continue;
+      try {
+        const response = JSON.parse(text);
+        validateResponse(response, mode);
+        return { response, repaired };
+      } catch {
+        // next variant
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * Whether the response object in raw output was cut off before it closed.
+ * @param {string} raw
+ * @returns {boolean}
+ */
+export function isTruncated(raw) {
+  const start = raw.indexOf("{");
+  return start !== -1 && repairJSON(raw.slice(start)) === null;
+}
+
+/**
+ * Follow-up prompt asking the model to correct its previous answer.
+ *
+ * @param {string} prompt - The original prompt.
+ * @param {string} raw - The previous (invalid) answer.
+ * @param {string} error - Why it was rejected.
+ * @returns {string}
+ */
+export function repairPrompt(prompt, raw, error) {
+  return [
+    prompt,
+    "",
+    "---",
+    "Your previous answer could not be used:",
+    `  ${error.split("\n")[0]}`,
+    "",
+    "Previous answer:",
+    raw.length > 4000 ? `${raw.slice(0, 4000)}\n…(truncated)` : raw,
+    "",
+    "Reply again with ONLY the corrected JSON object — no prose, no markdown fences — following every rule above.",
+  ].join("\n");
+}
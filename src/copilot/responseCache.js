@@ -0,0 +1,105 @@
+/**
+ * responseCache.js — Reuse validated responses for unchanged prompts
+ *
+ * Asking the model the same question twice gives nothing new, so every
+ * contract-valid response is kept, one file per key:
+ *
+ *   .copilot-ci-doctor/cache/responses/<mode>-<hash>.json
+ *     { key, mode, provider, templateVersion, createdAt, response }
+ *
+ * The key covers everything that shapes the answer: the rendered prompt
+ * (see promptHash()), the provider with its settings (model, base URL,
+ * command), the template version (which covers the project context, see
+ * renderPrompt()) and the ensemble sample count. Entries
+ * expire after `responseCacheTtlHours`; `--no-cache` skips the cache
+ * entirely.
+ */
+
+import fs from "node:fs";
+import path from "node:path";
+import crypto from "node:crypto";
+import { cacheDir } from "../utils/paths.js";
+import { promptHash } from "../prompts/loadPrompt.js";
+
+/** @returns {string} */
+function responsesDir() {
+  return path.join(cacheDir(), "responses");
+}
+
+/**
+ * @param {string} mode
+ * @param {string} key
+ * @returns {string}
+ */
+function entryFile(mode, key) {
+  return path.join(responsesDir(), `${mode}-${key.slice(0, 16)}.json`);
+}
+
+/**
+ * Cache key for a request.
+ *
+ * @param {object} opts
+ * @param {string} opts.mode
+ * @param {string} opts.prompt - The rendered prompt.
+ * @param {object} opts.config - Effective config (provider and its settings).
+ * @param {string} opts.templateVersion - `source.version` from renderPrompt().
+ * @param {string} [opts.failureKey] - Identifies the failure instead of the
+ *   rendered prompt (watch: the same failure on an unchanged commit).
+ * @returns {string} Hex SHA-256.
+ */
+export function responseCacheKey({ mode, prompt, config, templateVersion, failureKey }) {
+  const parts = {
+    mode,
+    input: failureKey ? `failure:${failureKey}` : `prompt:${promptHash(prompt)}`,
+    provider: config.provider,
+    settings: config.providers?.[config.provider] ?? {},
+    templateVersion,
+    // a consensus of several samples is a different answer than one sample
+    ...(config.samples > 1 ? { samples: config.samples, varied: config.varySamplePrompts } : {}),
+  };
+  return crypto.createHash("sha256").update(JSON.stringify(parts)).digest("hex");
+}
+
+/**
+ * Look up a cached response.
+ *
+ * @param {string} mode
+ * @param {string} key
+ * @param {number} ttlHours
+ * @returns {{ response: object, createdAt: string, provider: string }|null}
+ *   Null when missing, expired or unreadable.
+ */
+export function readCachedResponse(mode, key, ttlHours) {
+  const file = entryFile(mode, key);
+  if (!fs.existsSync(file)) return null;
+  try {
+    const entry = JSON.parse(fs.readFileSync(file, "utf-8"));
+    const age = Date.now() - Date.parse(entry.createdAt);
+    if (entry.key !== key || !(age <= ttlHours * 3_600_000)) return null;
+    return entry;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Store a validated response.
+ *
+ * @param {string} mode
+ * @param {string} key
+ * @param {object} response
+ * @param {string} provider - Provider name, for the record.
+ * @param {string} templateVersion - For the record.
+ */
+export function writeCachedResponse(mode, key, response, provider, templateVersion) {
+  fs.mkdirSync(responsesDir(), { recursive: true });
+  const entry = {
+    key,
+    mode,
+    provider,
+    templateVersion,
+    createdAt: new Date().toISOString(),
+    response,
+  };
+  fs.writeFileSync(entryFile(mode, key), JSON.stringify(entry, null, 2), "utf-8");
+}
@@ -0,0 +1,100 @@
+/**
+ * schema.js — JSON Schemas for the CI_DOCTOR response contract
+ *
+ * One schema per (version, mode). V1 and V2 differ only in `patch`:
+ *
+ *   V1  "patch": "<unified diff>"
+ *   V2  "patch": "<unified diff>" or a list of structured edits —
+ *       [{ "file", "search", "replace" }] or
+ *       [{ "file", "start_line", "end_line", "replace" }]
+ *       which edits.js turns into a verified diff.
+ *
+ * Extra fields are allowed everywhere (explain adds plain_english,
+ * ensembles add agreement, …).
+ */
+
+export const RESPONSE_VERSION_V1 = "CI_DOCTOR_RESPONSE_V1";
+export const RESPONSE_VERSION_V2 = "CI_DOCTOR_RESPONSE_V2";
+
+const confidence = { type: "number", minimum: 0, maximum: 100 };
+const nonEmptyString = { type: "string", minLength: 1 };
+const evidenceRefs = { type: "array", items: { type: "string" } };
+
+const hypothesesPart = {
+  properties: {
+    hypotheses: {
+      type: "array",
+      minItems: 1,
+      items: {
+        type: "object",
+        required: ["title", "confidence", "evidence_refs"],
+        properties: { title: nonEmptyString, confidence, evidence_refs: evidenceRefs },
+      },
+    },
+  },
+  required: ["hypotheses"],
+};
+
+const explainPart = {
+  properties: { confidence, summary: nonEmptyString, explanation: nonEmptyString },
+  required: ["confidence", "summary", "explanation"],
+};
+
+/** One structured edit: replace a unique search string, or a 1-based inclusive line range */
+const editSchema = {
+  type: "object",
+  required: ["file", "replace"],
+  properties: {
+    file: nonEmptyString,
+    search: nonEmptyString,
+    start_line: { type: "integer", minimum: 1 },
+    end_line: { type: "integer", minimum: 1 },
+    replace: { type: "string" },
+  },
+  if: { required: ["search"] },
+  then: { properties: { start_line: false, end_line: false } },
+  else: { required: ["start_line", "end_line"] },
+};
+
+const patchPart = (version) => ({
+  properties: {
+    confidence,
+    description: nonEmptyString,
+    patch: version === RESPONSE_VERSION_V1
+      ? nonEmptyString
+      : { oneOf: [nonEmptyString, { type: "array", minItems: 1, items: editSchema }] },
+  },
+  required: ["confidence", "description", "patch"],
+});
+
+/**
+ * Merge schema fragments into one object schema.
+ * @param {string} version
+ * @param {string} mode
+ * @param {object[]} parts
+ * @returns {object}
+ */
+function responseSchema(version, mode, parts) {
+  return {
+    $id: `${version}/${mode}`,
+    type: "object",
+    required: [...new Set(["version", "mode", ...parts.flatMap((p) => p.required)])],
+    properties: Object.assign(
+      { version: { const: version }, mode: { const: mode } },
+      ...parts.map((p) => p.properties)
+    ),
+  };
+}
+
+/**
+ * Schemas by version and mode.
+ * @type {Record<string, Record<string, object>>}
+ */
+export const RESPONSE_SCHEMAS = Object.fromEntries(
+  [RESPONSE_VERSION_V1, RESPONSE_VERSION_V2].map((version) => [version, {
+    hypotheses: responseSchema(version, "hypotheses", [hypothesesPart]),
+    explain: responseSchema(version, "explain", [explainPart]),
+    patch: responseSchema(version, "patch", [patchPart(version)]),
+    combined: responseSchema(version, "combined", [hypothesesPart, explainPart, patchPart(version)]),
+  }])
+);
@@ -0,0 +1,248 @@
+/**
+ * budget.js — Fit the evidence bundle into a token budget
+ *
+ * Every evidence type has a priority. When the rendered bundle is over
+ * budget we shrink the lowest-priority entries first, each through its
+ * own ladder of increasingly drastic steps (trim YAML to the failing job,
+ * cut log windows, drop snippets, …), and stop as soon as it fits.
+ *
+ * What was cut is recorded in `bundle.budget.truncated`, so the model
+ * knows evidence is missing and the user can see what was left out.
+ */
+
+import { trimWorkflowToJobs } from "./workflows.js";
+import { estimateTokens, estimateJsonTokens } from "../utils/tokens.js";
+
+/**
+ * Higher survives longer. Types not listed get DEFAULT_PRIORITY;
+ * ESSENTIAL types are never shrunk (they are small and everything
+ * else refers to them).
+ */
+const PRIORITY = {
+  log_excerpt: 80,
+  annotations: 78,
+  test_failures: 75,
+  step_timeline: 72,
+  matrix_analysis: 72,
+  workflow_yaml: 70,
+  source_snippet: 60,
+  what_changed: 50,
+  environment: 48,
+  runtime_versions: 45,
+  reusable_workflow: 40,
+  local_action: 40,
+  project_manifests: 30,
+};
+const DEFAULT_PRIORITY = 20;
+const ESSENTIAL = new Set(["repo_info", "failed_run", "failed_jobs", "flakiness"]);
+
+/**
+ * Priority of one entry. Excerpts of steps that didn't exit non-zero
+ * (context from the same job) rank below the rest of the evidence.
+ * @param {object} entry
+ * @returns {number}
+ */
+function priorityOf(entry) {
+  if (entry.type === "log_excerpt" && entry.data?.failing === false) return 55;
+  return PRIORITY[entry.type] ?? DEFAULT_PRIORITY;
+}
+
+/** Lines kept around each log anchor when cutting windows */
+const ANCHOR_CONTEXT = { before: 3, after: 8 };
+
+/**
+ * Keep only the excerpt lines inside the given line-number ranges,
+ * with "…" where lines were skipped.
+ *
+ * @param {string} text - Rendered excerpt ("  42 | line", "…").
+ * @param {[number, number][]} ranges - Inclusive 1-based line ranges.
+ * @returns {string}
+ */
+function cutExcerpt(text, ranges) {
+  const out = [];
+  for (const line of text.split("\n")) {
+    const match = line.match(/^\s*(\d+) \| /);
+    const keep = match && ranges.some(([s, e]) => Number(match[1]) >= s && Number(match[1]) <= e);
+    if (keep) out.push(line);
+    else if (out[out.length - 1] !== "…") out.push("…");
+  }
+  return out.join("\n");
+}
+
+/**
+ * Shrink steps per evidence type, mildest first. Each step takes the
+ * entry's data and the bundle and returns `{ data, action }`, or null
+ * when it doesn't apply. Dropping the entry is always the last resort.
+ */
+const SHRINKERS = {
+  log_excerpt: [
+    (data) => {
+      if (typeof data !== "object" || !data.windows?.length) return null;
+      const windows = data.windows.map((w) => ({
+        ...w,
+        start: Math.max(w.start, w.anchor - ANCHOR_CONTEXT.before),
+        end: Math.min(w.end, w.anchor + ANCHOR_CONTEXT.after),
+      }));
+      return {
+        data: { ...data, windows, excerpt: cutExcerpt(data.excerpt, windows.map((w) => [w.start, w.end])) },
+        action: "cut log windows to the lines around each error",
+      };
+    },
+    (data) => {
+      if (typeof data !== "object" || !(data.windows?.length > 1)) return null;
+      // The last window sits closest to the failure
+      const last = data.windows[data.windows.length - 1];
+      const w = {
+        ...last,
+        start: Math.max(last.start, last.anchor - ANCHOR_CONTEXT.before),
+        end: Math.min(last.end, last.anchor + ANCHOR_CONTEXT.after),
+      };
+      return {
+        data: { ...data, windows: [w], excerpt: cutExcerpt(data.excerpt, [[w.start, w.end]]) },
+        action: "kept only the last error window",
+      };
+    },
+  ],
+  workflow_yaml: [
+    (data, bundle) => {
+      if (typeof data !== "object" || typeof data.content !== "string") return null;
+      const failed = bundle.evidence.find((e) => e.type === "failed_jobs")?.data;
+      if (!Array.isArray(failed) || failed.length === 0) return null;
+      const trimmed = trimWorkflowToJobs(data.content, failed.map((j) => j.name));
+      if (trimmed.omitted.length === 0) return null;
+      return { data: { ...data, content: trimmed.content }, action: `trimmed to the failing job(s), omitting ${trimmed.omitted.join(", ")}` };
+    },
+  ],
+  test_failures: [
+    (data) => {
+      if (typeof data !== "object" || !data.failures?.some((f) => f.details)) return null;
+      return {
+        data: { ...data, failures: data.failures.map((f) => ({ ...f, details: null })) },
+        action: "dropped failure details (stack traces)",
+      };
+    },
+    (data) => {
+      if (typeof data !== "object" || !(data.failures?.length > 5)) return null;
+      return {
+        data: { ...data, failures: data.failures.slice(0, 5) },
+        action: `kept the first 5 of ${data.failures.length} failing tests`,
+      };
+    },
+  ],
+  step_timeline: [
+    (data) => {
+      if (typeof data !== "object" || !data.jobs?.some((j) => j.steps.length > 0)) return null;
+      // Keep the steps that didn't succeed and the slowest one
+      const jobs = data.jobs.map((j) => {
+        const slowest = [...j.steps].sort((a, b) => (b.durationSec ?? 0) - (a.durationSec ?? 0))[0];
+        return { ...j, steps: j.steps.filter((st) => st === slowest || (st.conclusion && st.conclusion !== "success")) };
+      });
+      return { data: { ...data, jobs }, action: "kept only unsuccessful and slowest steps" };
+    },
+  ],
+  source_snippet: [
+    (data) => {
+      if (typeof data !== "object" || typeof data.snippet !== "string") return null;
+      const lines = data.snippet.split("\n");
+      const at = lines.findIndex((l) => l.startsWith(">"));
+      if (at === -1 || lines.length <= 7) return null;
+      const from = Math.max(0, at - 3);
+      const kept = lines.slice(from, at + 4);
+      const startLine = data.line - (at - from);
+      return {
+        data: { ...data, startLine, endLine: startLine + kept.length - 1, snippet: kept.join("\n") },
+        action: "narrowed snippet to ±3 lines",
+      };
+    },
+  ],
+  what_changed: [
+    (data) => {
+      if (typeof data !== "object" || !data.diff) return null;
+      return { data: { ...data, diff: null, truncated: true }, action: "dropped the diff, kept commits and diffstat" };
+    },
+  ],
+  project_manifests: [
+    (data) => {
+      if (typeof data !== "object" || !data.manifests?.length) return null;
+      return {
+        data: { ...data, manifests: data.manifests.map((m) => ({ path: m.path, content: null })) },
+        action: "dropped manifest contents, kept lockfile summaries and runtimes",
+      };
+    },
+  ],
+};
+
+/**
+ * Fit an evidence bundle into a token budget.
+ *
+ * Never mutates the input. When nothing needs cutting, the bundle comes
+ * back without a `budget` field.
+ *
+ * @param {object} bundle - Evidence bundle.
+ * @param {number} maxTokens - Budget for the serialized bundle.
+ * @returns {object} The bundle, possibly shrunk, with `budget`:
+ *   { maxTokens, originalTokens, tokens, truncated: [{ id, type, action, saved }], overBudget }
+ */
+export function budgetBundle(bundle, maxTokens) {
+  const originalTokens = estimateJsonTokens(bundle);
+  if (originalTokens <= maxTokens) return bundle;
+
+  const evidence = bundle.evidence.map((e) => ({ ...e }));
+  const working = { ...bundle, evidence };
+  const truncated = [];
+  let tokens = originalTokens;
+
+  // Lowest priority first; among equals, later entries (e.g. E4.8 before E4.1)
+  const order = evidence
+    .map((e, index) => ({ e, index, priority: priorityOf(e) }))
+    .filter(({ e }) => !ESSENTIAL.has(e.type))
+    .sort((a, b) => a.priority - b.priority || b.index - a.index);
+
+  for (const { e } of order) {
+    if (tokens <= maxTokens) break;
+    const steps = [
+      ...(SHRINKERS[e.type] ?? []),
+      (data) => ({
+        data: `[Omitted to fit the token budget (~${estimateJsonTokens(data)} tokens)]`,
+        action: "dropped",
+      }),
+    ];
+    for (const step of steps) {
+      if (tokens <= maxTokens) break;
+      if (typeof e.data === "string" && e.data.startsWith("[")) break; // already a note
+      const result = step(e.data, working);
+      if (!result) continue;
+      const before = estimateJsonTokens(e.data);
+      const after = estimateJsonTokens(result.data);
+      if (after >= before) continue;
+      e.data = result.data;
+      tokens -= before - after;
+      truncated.push({ id: e.id, type: e.type, action: result.action, saved: before - after });
+    }
+  }
+
+  // Per-entry savings are measured outside the bundle's indentation —
+  // re-measure the result as a whole
+  tokens = estimateJsonTokens(working);
+  return {
+    ...working,
+    budget: {
+      maxTokens,
+      originalTokens,
+      tokens,
+      truncated,
+      overBudget: tokens > maxTokens,
+    },
+  };
+}
+
+/**
+ * Token budget left for the bundle once a prompt template is rendered.
+ *
+ * @param {string} template - Prompt template text.
+ * @param {number} maxTokens - Budget for the whole prompt.
+ * @returns {number}
+ */
+export function bundleBudget(template, maxTokens) {
+  return Math.max(0, maxTokens - estimateTokens(template));
+}
@@ -8,79 +8,255 @@
 
 import chalk from "chalk";
 import fs from "node:fs";
-import path from "node:path";
 import { getRepoInfo } from "./githubRepo.js";
-import { getLatestFailedRun, getFailedJobs, getRunLogs } from "./githubActions.js";
-import { redact } from "./redact.js";
+import {
+  getRunJobs,
+  getRunLogs,
+  getRunWorkflowPath,
+  parseFailingSteps,
+  FAILED_JOB_CONCLUSIONS,
+} from "./githubActions.js";
+import { resolveSelector, findSelectedRun, describeSelector } from "./runSelector.js";
+import { splitLogByStep, filterFailedSections } from "./logs.js";
+import { excerptLog } from "./excerpt.js";
+import { resolveWorkflowFile, collectWorkflowDependencies, workflowDisplayName } from "./workflows.js";
+import { collectWhatChanged } from "./whatChanged.js";
+import { collectSourceSnippets } from "./sourceSnippets.js";
+import { collectProjectManifests } from "./ecosystems/index.js";
+import { analyzeFlakiness, analyzeLogFlakiness } from "./flakiness.js";
+import { collectTestReports, parseTestReports } from "./testReports.js";
+import { readLocalLog, readLocalWorkflow } from "./localInputs.js";
+import { collectJobTimeline } from "./timeline.js";
+import { analyzeMatrix } from "./matrix.js";
+import { collectEnvironment, localEnvironment } from "./environment.js";
+import { redact, redactEvidence, registerWorkflowSecrets, resetRedactionReport, getRedactionReport } from "./redact.js";
 import { writeCache, readCache } from "../utils/paths.js";
+import { readProjectContext } from "../prompts/loadPrompt.js";
 
 const EVIDENCE_CACHE_FILE = "latest-evidence.json";
+const REDACTION_REPORT_FILE = "latest-redaction-report.json";
+
+/** Marks a file written by `exportBundle()` */
+const EXPORT_FORMAT = "copilot-ci-doctor-bundle";
+const EXPORT_VERSION = 1;
+
+/** Line budget per failed job/step log excerpt */
+const LOG_LINES_PER_STEP = 80;
+
+/** Maximum number of per-step log excerpts in a bundle */
+const MAX_LOG_SECTIONS = 8;
 
 /**
- * Read the workflow YAML file that triggered the run.
+ * The repo's project context file, redacted in the same pass as the
+ * evidence so its placeholders (`<host-1>`, …) match the bundle's and its
+ * redactions are in the bundle's report. Stored as `bundle.projectContext`
+ * and filled into the prompts' {{PROJECT_CONTEXT}}.
  *
- * @param {string} workflowName
- * @returns {string}
+ * @returns {{ file: string, text: string }|null}
+ */
+function captureProjectContext() {
+  const context = readProjectContext();
+  return context ? { file: context.file, text: redact(context.text) } : null;
+}
+
+/**
+ * Build the workflow evidence: the workflow file that ran (E5) plus one
+ * entry per reusable workflow or local action it calls (E5.1, E5.2, …).
+ *
+ * @param {{ path: string, content: string }|null} workflow - From
+ *   `resolveWorkflowFile()` or `readLocalWorkflow()`.
+ * @param {string|null} [workflowPath] - Where we looked, for the "not found" note.
+ * @returns {object[]} Evidence entries.
  */
-function getWorkflowFile(workflowName) {
-  const workflowsDir = path.join(process.cwd(), ".github", "workflows");
-  if (!fs.existsSync(workflowsDir)) {
-    return "[No .github/workflows directory found]";
+function buildWorkflowEvidence(workflow, workflowPath = null) {
+  if (!workflow) {
+    const where = workflowPath ? ` (${workflowPath})` : "";
+    return [{ id: "E5", type: "workflow_yaml", data: `[Could not locate workflow file${where}]` }];
   }
-  const files = fs.readdirSync(workflowsDir).filter((f) =>
-    f.endsWith(".yml") || f.endsWith(".yaml")
-  );
 
-  for (const file of files) {
-    const content = fs.readFileSync(path.join(workflowsDir, file), "utf-8");
-    if (
-      content.includes(`name: ${workflowName}`) ||
-      content.includes(`name: '${workflowName}'`) ||
-      content.includes(`name: "${workflowName}"`)
-    ) {
-      return redact(content);
-    }
+  // Values of the secrets it references get redacted everywhere
+  registerWorkflowSecrets(workflow.content);
+  const dependencies = collectWorkflowDependencies(workflow);
+  dependencies.forEach((dep) => registerWorkflowSecrets(dep.content));
+
+  const entries = [{
+    id: "E5",
+    type: "workflow_yaml",
+    data: { path: workflow.path, content: redact(workflow.content) },
+  }];
+  dependencies.forEach((dep, i) => {
+    entries.push({
+      id: `E5.${i + 1}`,
+      type: dep.kind,
+      data: { path: dep.path, usedBy: dep.usedBy, content: redact(dep.content) },
+    });
+  });
+  return entries;
+}
+
+/**
+ * Turn the run log into one evidence entry per failed job/step
+ * (E4.1, E4.2, …). Each excerpt is cut around its error anchors with
+ * its own line budget (see excerpt.js).
+ *
+ * @param {{ text: string, failedOnly: boolean }|null} logs - From `getRunLogs()`.
+ * @param {object[]} failedJobs
+ * @returns {object[]} Evidence entries.
+ */
+function buildLogEvidence(logs, failedJobs) {
+  if (!logs) {
+    return [{ id: "E4", type: "log_excerpt", data: "[Could not retrieve logs]" }];
   }
 
-  if (files.length > 0) {
-    return redact(fs.readFileSync(path.join(workflowsDir, files[0]), "utf-8"));
+  let sections = splitLogByStep(logs.text);
+  if (!logs.failedOnly) {
+    sections = filterFailedSections(sections, failedJobs);
   }
 
-  return "[Could not locate workflow file]";
+  // Steps that exited non-zero carry the error — keep them when capping
+  const failing = parseFailingSteps(logs.text);
+  const isFailing = (s) => failing.some((f) => f.step === s.step && (f.job === null || f.job === s.job));
+  if (sections.length > MAX_LOG_SECTIONS) {
+    const keep = new Set(sections.filter(isFailing).slice(-MAX_LOG_SECTIONS));
+    for (const s of [...sections].reverse()) {
+      if (keep.size >= MAX_LOG_SECTIONS) break;
+      keep.add(s);
+    }
+    sections = sections.filter((s) => keep.has(s));
+  }
+  if (sections.length === 0) {
+    return [{ id: "E4", type: "log_excerpt", data: "[Log output was empty]" }];
+  }
+
+  return sections.map((section, i) => {
+    const excerpt = excerptLog(section.lines, { maxLines: LOG_LINES_PER_STEP });
+    return {
+      id: `E4.${i + 1}`,
+      type: "log_excerpt",
+      data: {
+        job: section.job,
+        step: section.step,
+        failing: isFailing(section),
+        totalLines: excerpt.totalLines,
+        windows: excerpt.windows,
+        excerpt: excerpt.text,
+      },
+    };
+  });
+}
+
+/**
+ * Evidence read from the working tree: source snippets for file:line
+ * references in the logs (E7.x), project manifests per detected
+ * ecosystem (E8.x) and declared vs. workflow runtime versions (E9).
+ *
+ * @param {object[]} logEvidence
+ * @param {object[]} workflowEvidence
+ * @returns {object[]} Evidence entries.
+ */
+function buildWorkingTreeEvidence(logEvidence, workflowEvidence) {
+  const snippetEvidence = collectSourceSnippets(logEvidence).map((data, i) => ({
+    id: `E7.${i + 1}`,
+    type: "source_snippet",
+    data,
+  }));
+
+  const workflowFiles = workflowEvidence
+    .filter((e) => typeof e.data?.content === "string")
+    .map((e) => e.data);
+  const project = collectProjectManifests(workflowFiles);
+  const manifestEvidence = project.ecosystems.map((eco, i) => ({
+    id: `E8.${i + 1}`,
+    type: "project_manifests",
+    data: {
+      ...eco,
+      manifests: eco.manifests.map((m) => ({ path: m.path, content: redact(m.content) })),
+    },
+  }));
+
+  return [
+    ...snippetEvidence,
+    ...manifestEvidence,
+    {
+      id: "E9",
+      type: "runtime_versions",
+      data: project.runtimes,
+    },
+  ];
 }
 
 /**
- * Build a complete Evidence Bundle for the latest failed CI run.
+ * Build a complete Evidence Bundle for a failed CI run.
  *
+ * @param {object} [selector] - Run selector from `resolveSelector()`.
+ *   Defaults to the latest failure on the current branch.
  * @returns {Promise<object>} The evidence bundle.
  */
-export async function buildEvidenceBundle() {
+export async function buildEvidenceBundle(selector) {
   console.log(chalk.dim("📦 Building evidence bundle…"));
+  resetRedactionReport();
 
   // 1 — Repo info
   const repoInfo = await getRepoInfo();
 
-  // 2 — Latest failed run
-  const failedRun = await getLatestFailedRun();
+  // 2 — Selected failed run
+  const runSelector = selector ?? await resolveSelector();
+  const description = describeSelector(runSelector);
+  const failedRun = await findSelectedRun(runSelector);
   if (!failedRun) {
-    throw new Error("No failed GitHub Actions runs found in this repository.");
+    throw new Error(
+      `No failed GitHub Actions runs found for ${description}.\n` +
+      "  Pass a run ID/URL, or use --branch, --workflow, --commit or --pr to pick one."
+    );
   }
   console.log(
-    chalk.yellow(`  Found failed run: ${failedRun.workflowName} (#${failedRun.databaseId})`)
+    chalk.yellow(
+      `  Found ${failedRun.conclusion === "failure" ? "failed" : failedRun.conclusion} run: ` +
+      `${failedRun.workflowName} (#${failedRun.databaseId}) — ${description}`
+    )
+  );
+
+  // 3 — Jobs (all of them, for the timeline) and the failed ones
+  const jobs = await getRunJobs(failedRun.databaseId);
+  const failedJobs = jobs.filter((j) => FAILED_JOB_CONCLUSIONS.includes(j.conclusion));
+
+  // 4 — Logs, one excerpt per failed job/step
+  const logs = await getRunLogs(failedRun.databaseId);
+  const logEvidence = buildLogEvidence(logs, failedJobs);
+
+  // 5 — Workflow file (by the run's workflow path) and what it calls
+  const workflowPath = await getRunWorkflowPath(failedRun.databaseId);
+  const workflowEvidence = buildWorkflowEvidence(
+    resolveWorkflowFile(workflowPath, failedRun.workflowName),
+    workflowPath
   );
 
-  // 3 — Failed jobs
-  const failedJobs = await getFailedJobs(failedRun.databaseId);
+  // 6 — What changed since the last green run of this workflow
+  const whatChanged = await collectWhatChanged(failedRun, workflowPath);
 
-  // 4 — Logs
-  const logExcerpt = await getRunLogs(failedRun.databaseId);
+  // 7–9 — Source snippets, project manifests and runtime versions
+  const workingTreeEvidence = buildWorkingTreeEvidence(logEvidence, workflowEvidence);
 
-  // 5 — Workflow file
-  const workflowYaml = getWorkflowFile(failedRun.workflowName);
+  // 10 — Deterministic vs. flaky vs. infrastructure
+  const flakiness = await analyzeFlakiness(failedRun, failedJobs, logs?.text ?? "", workflowPath);
+
+  // 11 — Failing tests from uploaded JUnit/TRX/TAP report artifacts
+  const testFailures = await collectTestReports(failedRun.databaseId);
+
+  // 12 — Check-run annotations, 13 — step timeline and how each job ended
+  const workflowContent = workflowEvidence.find((e) => e.id === "E5")?.data?.content ?? null;
+  const { annotations, timeline } = await collectJobTimeline(jobs, workflowContent);
+
+  // 14 — Matrix dimensions that separate failing variants from passing ones
+  const matrix = analyzeMatrix(jobs, workflowContent);
+
+  // 15 — Runner image, OS and tool versions, diffed against the last green run
+  const environment = await collectEnvironment(failedJobs, logs, whatChanged?.lastSuccess?.runId ?? null);
 
   // Assemble bundle with evidence IDs
   const bundle = {
     timestamp: new Date().toISOString(),
+    selection: { ...runSelector, description },
     evidence: [
       {
         id: "E1",
@@ -98,6 +274,7 @@ export async function buildEvidenceBundle() {
           runId: failedRun.databaseId,
           workflow: failedRun.workflowName,
           branch: failedRun.headBranch,
+          headSha: failedRun.headSha,
           event: failedRun.event,
           conclusion: failedRun.conclusion,
           createdAt: failedRun.createdAt,
@@ -115,30 +292,206 @@ export async function buildEvidenceBundle() {
             .map((s) => ({ name: s.name, conclusion: s.conclusion })),
         })),
       },
+      ...logEvidence,
+      ...workflowEvidence,
+      {
+        id: "E6",
+        type: "what_changed",
+        data: whatChanged,
+      },
+      ...workingTreeEvidence,
+      {
+        id: "E10",
+        type: "flakiness",
+        data: flakiness,
+      },
       {
-        id: "E4",
-        type: "log_excerpt",
-        data: logExcerpt,
+        id: "E11",
+        type: "test_failures",
+        data: testFailures,
       },
       {
-        id: "E5",
-        type: "workflow_yaml",
-        data: workflowYaml,
+        id: "E12",
+        type: "annotations",
+        data: annotations.length > 0 ? annotations : "[No check-run annotations on the failed jobs]",
+      },
+      {
+        id: "E13",
+        type: "step_timeline",
+        data: timeline,
+      },
+      {
+        id: "E14",
+        type: "matrix_analysis",
+        data: matrix.length > 0 ? matrix : "[No matrix job with a failed variant]",
+      },
+      {
+        id: "E15",
+        type: "environment",
+        data: environment,
       },
     ],
   };
 
+  // Final pass: secrets named in the workflow are only known once it was read
+  bundle.evidence = redactEvidence(bundle.evidence);
+  bundle.projectContext = captureProjectContext();
+
   console.log(chalk.green("  ✓ Evidence bundle ready"));
   return bundle;
 }
 
 /**
- * Save the evidence bundle to cache.
+ * Build an Evidence Bundle from local files instead of `gh` (offline
+ * mode): a saved log, an optional workflow file, optional repo metadata
+ * and test reports. Nothing here calls `gh run list` or `gh run view`;
+ * evidence that needs run history (what changed, earlier attempts) is
+ * replaced by a note.
+ *
+ * @param {object} inputs
+ * @param {string} inputs.log - Log file, or a directory extracted from the log archive.
+ * @param {string} [inputs.workflowFile] - Workflow YAML that produced the log.
+ * @param {string} [inputs.repo] - "owner/name" of the repository.
+ * @param {string} [inputs.branch] - Branch the run was for.
+ * @param {string} [inputs.commit] - Commit the run was for.
+ * @param {string} [inputs.reports] - Test report file or directory (JUnit/TRX/TAP).
+ * @returns {Promise<object>} The evidence bundle.
+ */
+export async function buildOfflineEvidenceBundle(inputs) {
+  console.log(chalk.dim("📦 Building evidence bundle from local files…"));
+  resetRedactionReport();
+
+  // 1 — Logs, redacted exactly like `gh` output; steps that exited
+  // non-zero stand in for the failed jobs the API would report
+  const logText = redact(readLocalLog(inputs.log));
+  const failedJobs = [];
+  for (const { job, step } of parseFailingSteps(logText)) {
+    const name = job ?? "unknown";
+    let entry = failedJobs.find((j) => j.name === name);
+    if (!entry) {
+      entry = { name, conclusion: "failure", steps: [] };
+      failedJobs.push(entry);
+    }
+    entry.steps.push({ name: step, conclusion: "failure" });
+  }
+  const logEvidence = buildLogEvidence({ text: logText, failedOnly: false }, failedJobs);
+
+  // 2 — Workflow file, if given
+  const workflow = inputs.workflowFile ? readLocalWorkflow(inputs.workflowFile) : null;
+  const workflowEvidence = workflow
+    ? buildWorkflowEvidence(workflow)
+    : [{ id: "E5", type: "workflow_yaml", data: "[Offline: no workflow file provided]" }];
+
+  // 3 — Test reports, if given
+  let testFailures = "[Offline: no test reports provided]";
+  if (inputs.reports) {
+    const parsed = parseTestReports([inputs.reports]);
+    testFailures = parsed.reports.length > 0
+      ? parsed
+      : `[${inputs.reports} contained no JUnit/TRX/TAP reports]`;
+  }
+
+  const selection = {
+    source: "offline",
+    log: inputs.log,
+    ...(inputs.workflowFile ? { workflowFile: inputs.workflowFile } : {}),
+  };
+  const bundle = {
+    timestamp: new Date().toISOString(),
+    selection: { ...selection, description: describeSelector(selection) },
+    evidence: [
+      {
+        id: "E1",
+        type: "repo_info",
+        data: inputs.repo
+          ? { nameWithOwner: inputs.repo, defaultBranch: null, url: `https://github.com/${inputs.repo}` }
+          : "[Offline: repository not specified]",
+      },
+      {
+        id: "E2",
+        type: "failed_run",
+        data: {
+          runId: null,
+          workflow: workflow ? workflowDisplayName(workflow.content) ?? workflow.path : null,
+          branch: inputs.branch ?? null,
+          headSha: inputs.commit ?? null,
+          event: null,
+          conclusion: "failure",
+          createdAt: null,
+          url: null,
+          logFile: inputs.log,
+        },
+      },
+      {
+        id: "E3",
+        type: "failed_jobs",
+        data: failedJobs.length > 0
+          ? failedJobs
+          : "[Offline: no step in the log reported a non-zero exit code]",
+      },
+      ...logEvidence,
+      ...workflowEvidence,
+      {
+        id: "E6",
+        type: "what_changed",
+        data: "[Offline: no run history — the last green run is unknown]",
+      },
+      ...buildWorkingTreeEvidence(logEvidence, workflowEvidence),
+      {
+        id: "E10",
+        type: "flakiness",
+        data: analyzeLogFlakiness(logText),
+      },
+      {
+        id: "E11",
+        type: "test_failures",
+        data: testFailures,
+      },
+      {
+        id: "E12",
+        type: "annotations",
+        data: "[Offline: annotations are only available from the GitHub API]",
+      },
+      {
+        id: "E13",
+        type: "step_timeline",
+        data: "[Offline: step timing is only available from the GitHub API]",
+      },
+      {
+        id: "E14",
+        type: "matrix_analysis",
+        data: "[Offline: matrix variants are only known from the run's job list]",
+      },
+      {
+        id: "E15",
+        type: "environment",
+        data: localEnvironment(logText),
+      },
+    ],
+  };
+
+  // Final pass: secrets named in the workflow are only known once it was read
+  bundle.evidence = redactEvidence(bundle.evidence);
+  bundle.projectContext = captureProjectContext();
+
+  console.log(chalk.green("  ✓ Evidence bundle ready"));
+  return bundle;
+}
+
+/**
+ * Save the evidence bundle to cache, with the report of what was
+ * redacted while building it.
  * @param {object} bundle
  */
 export function cacheBundle(bundle) {
   writeCache(EVIDENCE_CACHE_FILE, bundle);
+  const report = { timestamp: bundle.timestamp, ...getRedactionReport() };
+  writeCache(REDACTION_REPORT_FILE, report);
   console.log(chalk.dim(`  Cached → .copilot-ci-doctor/cache/${EVIDENCE_CACHE_FILE}`));
+  if (report.total > 0) {
+    const categories = Object.entries(report.byCategory).map(([c, n]) => `${c} ×${n}`).join(", ");
+    console.log(chalk.dim(`  Redacted ${report.total} value(s): ${categories} → ${REDACTION_REPORT_FILE}`));
+  }
 }
 
 /**
@@ -148,3 +501,87 @@ export function cacheBundle(bundle) {
 export function loadCachedBundle() {
   return readCache(EVIDENCE_CACHE_FILE);
 }
+
+/**
+ * Write the cached bundle (and its redaction report) to a portable file.
+ *
+ * @param {string} file - Destination path.
+ * @returns {object} The exported bundle.
+ */
+export function exportBundle(file) {
+  const bundle = loadCachedBundle();
+  if (!bundle) {
+    throw new Error("No cached evidence bundle found. Run `copilot-ci-doctor analyze` first.");
+  }
+  const payload = {
+    format: EXPORT_FORMAT,
+    version: EXPORT_VERSION,
+    exportedAt: new Date().toISOString(),
+    bundle,
+    redactionReport: readCache(REDACTION_REPORT_FILE),
+  };
+  fs.writeFileSync(file, JSON.stringify(payload, null, 2), "utf-8");
+  return bundle;
+}
+
+/**
+ * Load a bundle written by `exportBundle()` and make it the cached
+ * bundle, so `explain` and `fix` use it. The evidence is redacted again
+ * with this repo's rules — the file may come from somewhere else.
+ *
+ * @param {string} file
+ * @returns {object} The imported bundle.
+ */
+export function importBundle(file) {
+  if (!fs.existsSync(file)) throw new Error(`Bundle file not found: ${file}`);
+  let payload;
+  try {
+    payload = JSON.parse(fs.readFileSync(file, "utf-8"));
+  } catch (err) {
+    throw new Error(`Could not parse ${file}: ${err.message}`);
+  }
+  if (payload?.format !== EXPORT_FORMAT) {
+    throw new Error(`${file} is not an exported copilot-ci-doctor bundle.`);
+  }
+  if (payload.version > EXPORT_VERSION) {
+    throw new Error(`${file} uses bundle format v${payload.version}; this version reads up to v${EXPORT_VERSION}.`);
+  }
+  const evidence = payload.bundle?.evidence;
+  if (!Array.isArray(evidence) || !evidence.every((e) => e && typeof e.id === "string" && typeof e.type === "string")) {
+    throw new Error(`${file} has no valid evidence list.`);
+  }
+
+  resetRedactionReport();
+  const bundle = {
+    ...payload.bundle,
+    selection: { ...payload.bundle.selection, importedFrom: file },
+    evidence: redactEvidence(evidence),
+    // the context the bundle was built with (the exporting repo's), redacted with this repo's rules
+    projectContext: payload.bundle.projectContext
+      ? { file: payload.bundle.projectContext.file, text: redact(payload.bundle.projectContext.text) }
+      : null,
+  };
+  writeCache(EVIDENCE_CACHE_FILE, bundle);
+  writeCache(REDACTION_REPORT_FILE, {
+    timestamp: bundle.timestamp,
+    importedFrom: file,
+    ...getRedactionReport(),
+    exported: payload.redactionReport ?? null,
+  });
+  return bundle;
+}
+
+/**
+ * One-line description of the run a bundle is pinned to,
+ * e.g. `CI #123456 (branch "main")`.
+ *
+ * @param {object} bundle
+ * @returns {string}
+ */
+export function describeBundleRun(bundle) {
+  const run = bundle.evidence.find((e) => e.type === "failed_run")?.data;
+  if (!run) return "unknown run";
+  const via = bundle.selection?.description;
+  const name = run.runId ? `${run.workflow} #${run.runId}` : run.workflow ?? "local log";
+  return `${name}${via ? ` (${via})` : ""}`;
+}
@@ -0,0 +1,75 @@
+/**
+ * files.js — File helpers shared by the ecosystem collectors
+ */
+
+import fs from "node:fs";
+import path from "node:path";
+
+/** Manifests larger than this are cut (lockfiles are summarised, never dumped) */
+const MAX_MANIFEST_CHARS = 8_000;
+
+/**
+ * Does a repo-relative file exist?
+ * @param {string} root
+ * @param {string} rel
+ * @returns {boolean}
+ */
+export function exists(root, rel) {
+  return fs.existsSync(path.join(root, rel));
+}
+
+/**
+ * Read a repo-relative text file, or null if missing.
+ * @param {string} root
+ * @param {string} rel
+ * @returns {string|null}
+ */
+export function readText(root, rel) {
+  const abs = path.join(root, rel);
+  if (!fs.existsSync(abs) || !fs.statSync(abs).isFile()) return null;
+  return fs.readFileSync(abs, "utf-8");
+}
+
+/**
+ * Read a manifest for inclusion in the bundle, capped in size.
+ * @param {string} root
+ * @param {string} rel
+ * @returns {{ path: string, content: string }|null}
+ */
+export function readManifest(root, rel) {
+  const content = readText(root, rel);
+  if (content === null) return null;
+  return {
+    path: rel,
+    content: content.length > MAX_MANIFEST_CHARS
+      ? `${content.slice(0, MAX_MANIFEST_CHARS)}\n[… truncated, ${content.length} chars total …]`
+      : content,
+  };
+}
+
+/**
+ * List root-level files matching a pattern.
+ * @param {string} root
+ * @param {RegExp} pattern
+ * @returns {string[]}
+ */
+export function listRootFiles(root, pattern) {
+  try {
+    return fs.readdirSync(root).filter((f) => pattern.test(f)).sort();
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * First line of a version file such as .nvmrc or .python-version.
+ * @param {string} root
+ * @param {string} rel
+ * @returns {string|null}
+ */
+export function readVersionFile(root, rel) {
+  const text = readText(root, rel);
+  if (text === null) return null;
+  const line = text.split("\n").map((l) => l.trim()).find((l) => l && !l.startsWith("#"));
+  return line ?? null;
+}
@@ -0,0 +1,39 @@
+/**
+ * go.js — Go modules collector
+ */
+
+import { exists, readText, readManifest } from "./files.js";
+
+export const goEcosystem = {
+  name: "go",
+  workflowKeys: { "go-version": "go" },
+
+  detect(root) {
+    return exists(root, "go.mod");
+  },
+
+  collect(root) {
+    const manifests = [readManifest(root, "go.mod"), readManifest(root, "go.work")].filter(Boolean);
+
+    const lockfiles = [];
+    const goSum = readText(root, "go.sum");
+    if (goSum !== null) {
+      const lines = goSum.split("\n").filter(Boolean);
+      const modules = new Set(lines.map((l) => l.split(" ")[0]));
+      lockfiles.push({ path: "go.sum", entries: lines.length, modules: modules.size });
+    }
+
+    const runtimes = [];
+    const goMod = readText(root, "go.mod") ?? "";
+    const goDirective = goMod.match(/^go\s+(\S+)/m);
+    if (goDirective) runtimes.push({ runtime: "go", version: goDirective[1], source: "go.mod go directive", minimum: true });
+    const toolchain = goMod.match(/^toolchain\s+go(\S+)/m);
+    if (toolchain) runtimes.push({ runtime: "go", version: toolchain[1], source: "go.mod toolchain" });
+
+    const notes = goSum === null && /^require/m.test(goMod)
+      ? ["go.mod has requirements but go.sum is missing."]
+      : [];
+
+    return { manifests, lockfiles, runtimes, notes };
+  },
+};
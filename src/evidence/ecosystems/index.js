@@ -0,0 +1,199 @@
+/**
+ * ecosystems/index.js — Pluggable project-manifest collectors
+ *
+ * Each ecosystem collector is a plain object:
+ *
+ *   {
+ *     name: "node",
+ *     workflowKeys: { "node-version": "node" },   // setup-* inputs → runtime
+ *     detect(root) → boolean,
+ *     collect(root) → { manifests, lockfiles, runtimes, notes },
+ *   }
+ *
+ * `manifests` are small files sent as-is (size-capped), `lockfiles` are
+ * summaries (never dumped), and `runtimes` are declared versions like
+ * `{ runtime: "node", version: ">=18", source: "package.json engines.node" }`
+ * (add `minimum: true` when a plain version means "at least", as in go.mod).
+ * Declared runtimes are compared against the versions the workflow YAML
+ * asks setup actions for, so version drift shows up as evidence.
+ *
+ * Add a new ecosystem with `registerEcosystem()`.
+ */
+
+import { nodeEcosystem } from "./node.js";
+import { pythonEcosystem } from "./python.js";
+import { goEcosystem } from "./go.js";
+import { javaEcosystem } from "./java.js";
+import { rustEcosystem } from "./rust.js";
+
+const ECOSYSTEMS = [nodeEcosystem, pythonEcosystem, goEcosystem, javaEcosystem, rustEcosystem];
+
+/**
+ * Register an additional ecosystem collector.
+ * @param {object} collector
+ */
+export function registerEcosystem(collector) {
+  if (!collector?.name || typeof collector.detect !== "function" || typeof collector.collect !== "function") {
+    throw new Error("Ecosystem collectors need a name, detect() and collect().");
+  }
+  ECOSYSTEMS.push(collector);
+}
+
+/**
+ * Pull runtime versions requested in workflow YAML (`node-version: 20`,
+ * `python-version: "3.12"`, …). Matrix expressions are kept but marked,
+ * since we can't resolve them to a single version here.
+ *
+ * @param {{ path: string, content: string }[]} workflowFiles
+ * @returns {{ runtime: string, version: string, file: string, fromExpression: boolean }[]}
+ */
+export function extractWorkflowRuntimes(workflowFiles) {
+  const keys = {};
+  for (const eco of ECOSYSTEMS) Object.assign(keys, eco.workflowKeys ?? {});
+  const keyPattern = Object.keys(keys).map((k) => k.replace(/-/g, "\\-")).join("|");
+  const re = new RegExp(`^\\s*(${keyPattern}):\\s*(.+?)\\s*$`, "gm");
+
+  const found = [];
+  for (const file of workflowFiles) {
+    for (const match of file.content.matchAll(re)) {
+      const raw = match[2].replace(/\s+#.*$/, "").replace(/^["']|["']$/g, "");
+      if (!raw) continue;
+      const versions = raw.startsWith("[")
+        ? raw.slice(1, -1).split(",").map((v) => v.trim().replace(/^["']|["']$/g, ""))
+        : [raw];
+      for (const version of versions.filter(Boolean)) {
+        found.push({ runtime: keys[match[1]], version, file: file.path, fromExpression: version.includes("${{") });
+      }
+    }
+  }
+  return found;
+}
+
+/**
+ * Parse a version like "20", "18.x", "v20.10.0" or "3.11" into numbers.
+ * @param {string} version
+ * @returns {number[]|null}
+ */
+function parseVersion(version) {
+  const match = String(version).trim().replace(/^v/, "").match(/^(\d+)(?:\.(\d+|[x*]))?(?:\.(\d+|[x*]))?/);
+  if (!match) return null;
+  return match.slice(1).filter((p) => p !== undefined && !/[x*]/.test(p)).map(Number);
+}
+
+function compareParts(a, b) {
+  for (let i = 0; i < Math.max(a.length, b.length); i++) {
+    const diff = (a[i] ?? 0) - (b[i] ?? 0);
+    if (diff !== 0) return Math.sign(diff);
+  }
+  return 0;
+}
+
+function prefixMatches(version, prefix) {
+  return prefix.every((p, i) => version[i] === p);
+}
+
+/**
+ * Best-effort check that a concrete version satisfies a declared
+ * constraint (npm-style ranges, PEP 440 specifiers, or plain versions).
+ *
+ * @param {string} constraint - e.g. ">=18", "^20.1", ">=3.9,<3.13", "1.21"
+ * @param {string} version - e.g. "20", "3.12"
+ * @param {boolean} [minimum=false] - Treat a plain version as a lower bound (go directive).
+ * @returns {boolean|null} null when either side can't be interpreted.
+ */
+export function satisfiesVersion(constraint, version, minimum = false) {
+  const v = parseVersion(version);
+  if (!v) return null;
+
+  const alternatives = String(constraint).split("||");
+  let understood = false;
+  for (const alt of alternatives) {
+    const comparators = alt.split(/[\s,]+/).filter(Boolean);
+    let ok = true;
+    for (const comp of comparators) {
+      const match = comp.match(/^(>=|<=|>|<|==|=|\^|~=|~)?v?(.+)$/);
+      const target = match && parseVersion(match[2]);
+      if (!target) continue;
+      understood = true;
+      const op = match[1] ?? (minimum ? ">=" : "=");
+      // A partial version ("20", "3") stands for a whole release line, so
+      // only compare as many parts as it has — flag only definite misses.
+      const t = target.slice(0, v.length);
+      const partial = t.length < target.length;
+      const cmp = compareParts(v, t);
+      if (op === ">=" && cmp < 0) ok = false;
+      else if (op === ">" && (cmp < 0 || (cmp === 0 && !partial))) ok = false;
+      else if (op === "<=" && cmp > 0) ok = false;
+      else if (op === "<" && (cmp > 0 || (cmp === 0 && !partial))) ok = false;
+      else if ((op === "=" || op === "==") && !prefixMatches(v, t)) ok = false;
+      else if (op === "^" && (v[0] !== t[0] || cmp < 0)) ok = false;
+      else if (op === "~" && (!prefixMatches(v, t.slice(0, 2)) || cmp < 0)) ok = false;
+      else if (op === "~=" && (!prefixMatches(v, target.slice(0, -1).slice(0, v.length)) || cmp < 0)) ok = false;
+    }
+    if (ok && understood) return true;
+  }
+  return understood ? false : null;
+}
+
+/**
+ * Compare declared runtimes with those requested in the workflow.
+ *
+ * @param {object[]} declared - Runtimes from collectors.
+ * @param {object[]} requested - From `extractWorkflowRuntimes()`.
+ * @returns {object[]} Mismatches.
+ */
+export function compareRuntimes(declared, requested) {
+  const mismatches = [];
+  for (const req of requested) {
+    if (req.fromExpression) continue;
+    for (const decl of declared.filter((d) => d.runtime === req.runtime)) {
+      const ok = satisfiesVersion(decl.version, req.version, decl.minimum);
+      if (ok === false) {
+        mismatches.push({
+          runtime: req.runtime,
+          workflow: { version: req.version, file: req.file },
+          declared: { version: decl.version, source: decl.source },
+        });
+      }
+    }
+  }
+  return mismatches;
+}
+
+/**
+ * Detect the project's ecosystem(s) and collect manifest evidence.
+ *
+ * @param {{ path: string, content: string }[]} workflowFiles - Workflow and
+ *   called workflows/actions, for runtime comparison.
+ * @param {string} [root=process.cwd()]
+ * @returns {{ ecosystems: object[], runtimes: object }}
+ *   One entry per detected ecosystem plus the runtime comparison.
+ */
+export function collectProjectManifests(workflowFiles, root = process.cwd()) {
+  const ecosystems = [];
+  for (const eco of ECOSYSTEMS) {
+    let detected = false;
+    try {
+      detected = eco.detect(root);
+    } catch {
+      detected = false;
+    }
+    if (!detected) continue;
+    try {
+      ecosystems.push({ ecosystem: eco.name, ...eco.collect(root) });
+    } catch (err) {
+      ecosystems.push({ ecosystem: eco.name, error: err.message, manifests: [], lockfiles: [], runtimes: [], notes: [] });
+    }
+  }
+
+  const declared = ecosystems.flatMap((e) => e.runtimes);
+  const requested = extractWorkflowRuntimes(workflowFiles);
+  return {
+    ecosystems,
+    runtimes: {
+      declared,
+      workflow: requested,
+      mismatches: compareRuntimes(declared, requested),
+    },
+  };
+}
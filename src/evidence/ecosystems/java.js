@@ -0,0 +1,51 @@
+/**
+ * java.js — JVM collector (Maven, Gradle)
+ */
+
+import { exists, readText, readManifest, readVersionFile } from "./files.js";
+
+const GRADLE_FILES = ["build.gradle", "build.gradle.kts", "settings.gradle", "settings.gradle.kts"];
+
+export const javaEcosystem = {
+  name: "java",
+  workflowKeys: { "java-version": "java" },
+
+  detect(root) {
+    return exists(root, "pom.xml") || GRADLE_FILES.some((f) => exists(root, f));
+  },
+
+  collect(root) {
+    const manifests = [
+      "pom.xml", ...GRADLE_FILES, "gradle.properties",
+      "gradle/wrapper/gradle-wrapper.properties", ".java-version", ".sdkmanrc",
+    ].map((f) => readManifest(root, f)).filter(Boolean);
+
+    const lockfiles = [];
+    const gradleLock = readText(root, "gradle.lockfile");
+    if (gradleLock !== null) {
+      lockfiles.push({
+        path: "gradle.lockfile",
+        entries: gradleLock.split("\n").filter((l) => l && !l.startsWith("#")).length,
+      });
+    }
+
+    const runtimes = [];
+    const pom = readText(root, "pom.xml") ?? "";
+    for (const tag of ["maven.compiler.release", "maven.compiler.source", "maven.compiler.target", "java.version"]) {
+      const match = pom.match(new RegExp(`<${tag.replace(/\./g, "\\.")}>\\s*([^<\\s]+)\\s*</`));
+      if (match) runtimes.push({ runtime: "java", version: match[1], source: `pom.xml <${tag}>` });
+    }
+    const gradle = (readText(root, "build.gradle") ?? "") + (readText(root, "build.gradle.kts") ?? "");
+    const languageVersion = gradle.match(/languageVersion(?:\.set\()?\s*=?\s*JavaLanguageVersion\.of\((\d+)\)/);
+    if (languageVersion) runtimes.push({ runtime: "java", version: languageVersion[1], source: "Gradle toolchain languageVersion" });
+    const sourceCompat = gradle.match(/sourceCompatibility\s*=\s*(?:JavaVersion\.VERSION_)?['"]?([\d._]+)/);
+    if (sourceCompat) runtimes.push({ runtime: "java", version: sourceCompat[1].replace(/_/g, "."), source: "Gradle sourceCompatibility" });
+    const wrapper = readText(root, "gradle/wrapper/gradle-wrapper.properties") ?? "";
+    const gradleVersion = wrapper.match(/gradle-([\d.]+)-(?:bin|all)\.zip/);
+    if (gradleVersion) runtimes.push({ runtime: "gradle", version: gradleVersion[1], source: "gradle-wrapper.properties" });
+    const javaVersion = readVersionFile(root, ".java-version");
+    if (javaVersion) runtimes.push({ runtime: "java", version: javaVersion, source: ".java-version" });
+
+    return { manifests, lockfiles, runtimes, notes: [] };
+  },
+};
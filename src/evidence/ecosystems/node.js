@@ -0,0 +1,109 @@
+/**
+ * node.js — Node.js ecosystem collector (npm, yarn, pnpm)
+ */
+
+import { exists, readText, readManifest, readVersionFile } from "./files.js";
+
+/**
+ * Summarise package-lock.json without dumping it.
+ * @param {string} text
+ * @returns {object}
+ */
+function summarizePackageLock(text) {
+  try {
+    const lock = JSON.parse(text);
+    const packages = lock.packages
+      ? Object.keys(lock.packages).filter((k) => k !== "").length
+      : Object.keys(lock.dependencies ?? {}).length;
+    return {
+      path: "package-lock.json",
+      lockfileVersion: lock.lockfileVersion ?? null,
+      name: lock.name ?? null,
+      version: lock.version ?? null,
+      packages,
+      rootDependencies: lock.packages?.[""]
+        ? {
+            dependencies: Object.keys(lock.packages[""].dependencies ?? {}).length,
+            devDependencies: Object.keys(lock.packages[""].devDependencies ?? {}).length,
+          }
+        : null,
+    };
+  } catch (err) {
+    return { path: "package-lock.json", error: `Invalid JSON: ${err.message}` };
+  }
+}
+
+/**
+ * Summarise yarn.lock (classic or berry).
+ * @param {string} text
+ * @returns {object}
+ */
+function summarizeYarnLock(text) {
+  const berry = /^__metadata:/m.test(text);
+  const entries = text.split("\n").filter((l) => /^\S.*:\s*$/.test(l) && !l.startsWith("#") && !l.startsWith("__metadata")).length;
+  return { path: "yarn.lock", flavor: berry ? "berry" : "classic", entries };
+}
+
+/**
+ * Summarise pnpm-lock.yaml.
+ * @param {string} text
+ * @returns {object}
+ */
+function summarizePnpmLock(text) {
+  const version = text.match(/^lockfileVersion:\s*['"]?([^'"\n]+)/m);
+  const packagesBlock = text.split(/^packages:\s*$/m)[1] ?? "";
+  const packages = packagesBlock.split("\n").filter((l) => /^ {2}\S.*:\s*$/.test(l)).length;
+  return { path: "pnpm-lock.yaml", lockfileVersion: version ? version[1].trim() : null, packages };
+}
+
+export const nodeEcosystem = {
+  name: "node",
+  /** Keys in `with:` blocks of setup actions that pin this runtime */
+  workflowKeys: { "node-version": "node" },
+
+  detect(root) {
+    return exists(root, "package.json");
+  },
+
+  collect(root) {
+    const manifests = [
+      readManifest(root, "package.json"),
+      readManifest(root, ".nvmrc"),
+      readManifest(root, ".node-version"),
+      readManifest(root, ".tool-versions"),
+    ].filter(Boolean);
+
+    const lockfiles = [];
+    const pkgLock = readText(root, "package-lock.json");
+    if (pkgLock !== null) lockfiles.push(summarizePackageLock(pkgLock));
+    const yarnLock = readText(root, "yarn.lock");
+    if (yarnLock !== null) lockfiles.push(summarizeYarnLock(yarnLock));
+    const pnpmLock = readText(root, "pnpm-lock.yaml");
+    if (pnpmLock !== null) lockfiles.push(summarizePnpmLock(pnpmLock));
+
+    const runtimes = [];
+    let pkg = {};
+    try {
+      pkg = JSON.parse(readText(root, "package.json"));
+    } catch {
+      /* malformed package.json is itself evidence — it's in manifests */
+    }
+    if (pkg.engines?.node) runtimes.push({ runtime: "node", version: pkg.engines.node, source: "package.json engines.node" });
+    if (pkg.volta?.node) runtimes.push({ runtime: "node", version: pkg.volta.node, source: "package.json volta.node" });
+    if (pkg.packageManager) {
+      const [manager, version] = pkg.packageManager.split("@");
+      runtimes.push({ runtime: manager, version: (version ?? "").split("+")[0], source: "package.json packageManager" });
+    }
+    if (pkg.engines?.npm) runtimes.push({ runtime: "npm", version: pkg.engines.npm, source: "package.json engines.npm" });
+    for (const file of [".nvmrc", ".node-version"]) {
+      const version = readVersionFile(root, file);
+      if (version) runtimes.push({ runtime: "node", version, source: file });
+    }
+
+    const notes = [];
+    if (lockfiles.length === 0) notes.push("No lockfile committed — `npm ci` / `--frozen-lockfile` installs will fail.");
+    if (lockfiles.length > 1) notes.push(`Multiple lockfiles present (${lockfiles.map((l) => l.path).join(", ")}).`);
+
+    return { manifests, lockfiles, runtimes, notes };
+  },
+};
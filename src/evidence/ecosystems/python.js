@@ -0,0 +1,78 @@
+/**
+ * python.js — Python ecosystem collector (pip, Poetry, Pipenv, uv)
+ */
+
+import { exists, readText, readManifest, readVersionFile, listRootFiles } from "./files.js";
+
+/**
+ * Count `[[package]]` tables in a TOML lockfile (poetry.lock, uv.lock).
+ * @param {string} rel
+ * @param {string} text
+ * @returns {object}
+ */
+function summarizeTomlLock(rel, text) {
+  const packages = (text.match(/^\[\[package\]\]/gm) ?? []).length;
+  const version = text.match(/^(?:lock-version|version)\s*=\s*"?([^"\n]+)/m);
+  return { path: rel, packages, lockVersion: version ? version[1] : null };
+}
+
+/**
+ * Summarise Pipfile.lock.
+ * @param {string} text
+ * @returns {object}
+ */
+function summarizePipfileLock(text) {
+  try {
+    const lock = JSON.parse(text);
+    return {
+      path: "Pipfile.lock",
+      pythonVersion: lock._meta?.requires?.python_version ?? null,
+      default: Object.keys(lock.default ?? {}).length,
+      develop: Object.keys(lock.develop ?? {}).length,
+    };
+  } catch (err) {
+    return { path: "Pipfile.lock", error: `Invalid JSON: ${err.message}` };
+  }
+}
+
+export const pythonEcosystem = {
+  name: "python",
+  workflowKeys: { "python-version": "python" },
+
+  detect(root) {
+    return ["pyproject.toml", "setup.py", "setup.cfg", "Pipfile"].some((f) => exists(root, f)) ||
+      listRootFiles(root, /^requirements.*\.txt$/).length > 0;
+  },
+
+  collect(root) {
+    const requirements = listRootFiles(root, /^requirements.*\.txt$/);
+    const manifests = [
+      "pyproject.toml", "setup.cfg", "Pipfile", ".python-version", "runtime.txt",
+      ...requirements,
+    ].map((f) => readManifest(root, f)).filter(Boolean);
+
+    const lockfiles = [];
+    for (const file of ["poetry.lock", "uv.lock"]) {
+      const text = readText(root, file);
+      if (text !== null) lockfiles.push(summarizeTomlLock(file, text));
+    }
+    const pipfileLock = readText(root, "Pipfile.lock");
+    if (pipfileLock !== null) lockfiles.push(summarizePipfileLock(pipfileLock));
+
+    const runtimes = [];
+    const pyproject = readText(root, "pyproject.toml") ?? "";
+    const requiresPython = pyproject.match(/^requires-python\s*=\s*["']([^"']+)["']/m);
+    if (requiresPython) runtimes.push({ runtime: "python", version: requiresPython[1], source: "pyproject.toml requires-python" });
+    const poetryPython = pyproject.match(/^python\s*=\s*["']([^"']+)["']/m);
+    if (poetryPython) runtimes.push({ runtime: "python", version: poetryPython[1], source: "pyproject.toml [tool.poetry.dependencies] python" });
+    const setupCfg = readText(root, "setup.cfg") ?? "";
+    const pythonRequires = setupCfg.match(/^python_requires\s*=\s*(.+)$/m);
+    if (pythonRequires) runtimes.push({ runtime: "python", version: pythonRequires[1].trim(), source: "setup.cfg python_requires" });
+    const pythonVersion = readVersionFile(root, ".python-version");
+    if (pythonVersion) runtimes.push({ runtime: "python", version: pythonVersion, source: ".python-version" });
+    const runtimeTxt = readVersionFile(root, "runtime.txt");
+    if (runtimeTxt) runtimes.push({ runtime: "python", version: runtimeTxt.replace(/^python-/, ""), source: "runtime.txt" });
+
+    return { manifests, lockfiles, runtimes, notes: [] };
+  },
+};
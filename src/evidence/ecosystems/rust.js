@@ -0,0 +1,45 @@
+/**
+ * rust.js — Cargo collector
+ */
+
+import { exists, readText, readManifest, readVersionFile } from "./files.js";
+
+export const rustEcosystem = {
+  name: "rust",
+  workflowKeys: { toolchain: "rust", "rust-version": "rust" },
+
+  detect(root) {
+    return exists(root, "Cargo.toml");
+  },
+
+  collect(root) {
+    const manifests = [
+      readManifest(root, "Cargo.toml"),
+      readManifest(root, "rust-toolchain.toml"),
+      readManifest(root, "rust-toolchain"),
+    ].filter(Boolean);
+
+    const lockfiles = [];
+    const cargoLock = readText(root, "Cargo.lock");
+    if (cargoLock !== null) {
+      const version = cargoLock.match(/^version\s*=\s*(\d+)/m);
+      lockfiles.push({
+        path: "Cargo.lock",
+        lockVersion: version ? Number(version[1]) : null,
+        packages: (cargoLock.match(/^\[\[package\]\]/gm) ?? []).length,
+      });
+    }
+
+    const runtimes = [];
+    const cargo = readText(root, "Cargo.toml") ?? "";
+    const rustVersion = cargo.match(/^rust-version\s*=\s*"([^"]+)"/m);
+    if (rustVersion) runtimes.push({ runtime: "rust", version: rustVersion[1], source: "Cargo.toml rust-version" });
+    const toolchainToml = readText(root, "rust-toolchain.toml") ?? "";
+    const channel = toolchainToml.match(/^channel\s*=\s*"([^"]+)"/m);
+    if (channel) runtimes.push({ runtime: "rust", version: channel[1], source: "rust-toolchain.toml channel" });
+    const toolchainFile = readVersionFile(root, "rust-toolchain");
+    if (toolchainFile) runtimes.push({ runtime: "rust", version: toolchainFile, source: "rust-toolchain" });
+
+    return { manifests, lockfiles, runtimes, notes: [] };
+  },
+};
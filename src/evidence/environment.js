@@ -0,0 +1,220 @@
+/**
+ * environment.js — Runner environment fingerprint
+ *
+ * "Worked yesterday, fails today" is often a runner image update rather
+ * than a code change. Every job log starts with a "Set up job" section
+ * naming the OS, the runner image and its version, and the setup-*
+ * actions print the tool versions they installed. We parse those into a
+ * fingerprint per failed job and, when there is a last green run, diff it
+ * against the same job there so the model can see what moved.
+ */
+
+import { getJobLogHead, getRunJobs } from "./githubActions.js";
+
+/** Failed jobs fingerprinted per run (each needs its own log download) */
+const MAX_JOBS = 3;
+
+/**
+ * Lines read from the start of each downloaded job log. "Set up job" and
+ * the setup-* steps come first, so the rest of the log isn't needed.
+ */
+const MAX_SETUP_LINES = 2000;
+
+/**
+ * Tool versions printed by setup-* actions. `action` limits a pattern to
+ * the output of that action (e.g. "Version:" means Java only inside
+ * setup-java).
+ */
+const TOOL_PATTERNS = [
+  { tool: "node", re: /^node: v?(\d[\w.+-]*)/ },
+  { tool: "npm", re: /^npm: (\d[\w.+-]*)/ },
+  { tool: "yarn", re: /^yarn: (\d[\w.+-]*)/ },
+  { tool: "pnpm", re: /^pnpm: (\d[\w.+-]*)/ },
+  { tool: "python", re: /Successfully set up (?:CPython|PyPy) \((\d[^)]*)\)/ },
+  { tool: "java", re: /^Version: (\d[\w.+-]*)/, action: "setup-java" },
+  { tool: "java_distribution", re: /^Distribution: (\S+)/, action: "setup-java" },
+  { tool: "go", re: /go version go(\d[\w.]*)/ },
+  { tool: "dotnet", re: /^(\d+\.\d+\.\d+\S*) \[/, action: "setup-dotnet" },
+  { tool: "ruby", re: /^ruby (\d[\w.]*)/ },
+  { tool: "rust", re: /^rustc (\d[\w.-]*)/ },
+];
+
+/** Tool cache folder names (`/opt/hostedtoolcache/<name>/<version>/`) */
+const TOOL_CACHE_NAMES = { node: "node", python: "python", go: "go", ruby: "ruby", pypy: "pypy" };
+
+/**
+ * Strip the `job<TAB>step<TAB>` prefix, the timestamp and any BOM from a
+ * log line (tabs inside the message are kept).
+ * @param {string} line
+ * @returns {string}
+ */
+function messageOf(line) {
+  const parts = line.split("\t");
+  return (parts.length >= 3 ? parts.slice(2).join("\t") : line)
+    .replace(/^\uFEFF/, "")
+    .replace(/^\d{4}-\d{2}-\d{2}T[\d:.]+Z\s?/, "")
+    .trim();
+}
+
+/**
+ * Parse the runner environment from a job log.
+ *
+ * @param {string} logText - One job's log (`gh` layout or raw).
+ * @returns {{ runnerVersion: string|null, os: string|null, image: string|null,
+ *   imageVersion: string|null, tools: Record<string, string> }|null}
+ *   null when the log has no environment details.
+ */
+export function parseEnvironment(logText) {
+  const fingerprint = { runnerVersion: null, os: null, image: null, imageVersion: null, tools: {} };
+  const groups = {};
+  let group = null;
+  let action = null;
+
+  for (const line of (logText ?? "").split("\n")) {
+    const message = messageOf(line);
+
+    const groupStart = message.match(/^##\[group\](.*)$/);
+    if (groupStart) {
+      group = groupStart[1].trim();
+      const setup = group.match(/^Run [\w-]+\/(setup-[\w-]+)@/);
+      if (setup) action = setup[1];
+      else if (group.startsWith("Run ")) action = null;
+      groups[group] ??= [];
+      continue;
+    }
+    if (message === "##[endgroup]") {
+      group = null;
+      continue;
+    }
+    if (group) groups[group].push(message);
+
+    const runner = message.match(/^Current runner version: '([^']+)'/);
+    if (runner) fingerprint.runnerVersion = runner[1];
+
+    for (const { tool, re, action: only } of TOOL_PATTERNS) {
+      if (fingerprint.tools[tool] || (only && only !== action)) continue;
+      const match = message.match(re);
+      if (match) fingerprint.tools[tool] = match[1];
+    }
+
+    // Fallback: the version folder in the tool cache
+    const cached = message.match(/hostedtoolcache[\\/]([^\\/]+)[\\/](\d[^\\/\s]*)/);
+    const cacheTool = cached && TOOL_CACHE_NAMES[cached[1].toLowerCase()];
+    if (cacheTool && !fingerprint.tools[cacheTool]) fingerprint.tools[cacheTool] = cached[2];
+  }
+
+  if (groups["Operating System"]?.length) {
+    fingerprint.os = groups["Operating System"].filter(Boolean).join(" ");
+  }
+  for (const line of groups["Runner Image"] ?? groups["Virtual Environment"] ?? []) {
+    const image = line.match(/^(?:Image|Environment): (\S+)/);
+    const version = line.match(/^Version: (\S+)/);
+    if (image) fingerprint.image = image[1];
+    if (version) fingerprint.imageVersion = version[1];
+  }
+
+  const found = fingerprint.runnerVersion || fingerprint.os || fingerprint.image ||
+    Object.keys(fingerprint.tools).length > 0;
+  return found ? fingerprint : null;
+}
+
+/**
+ * List what differs between two fingerprints.
+ *
+ * @param {object} before - Fingerprint from the last green run.
+ * @param {object} after - Fingerprint from the failed run.
+ * @returns {{ field: string, before: string|null, after: string|null }[]}
+ */
+export function diffEnvironments(before, after) {
+  const flatten = (f) => ({
+    runnerVersion: f.runnerVersion,
+    os: f.os,
+    image: f.image,
+    imageVersion: f.imageVersion,
+    ...Object.fromEntries(Object.entries(f.tools).map(([k, v]) => [`tools.${k}`, v])),
+  });
+  const a = flatten(before);
+  const b = flatten(after);
+  return [...new Set([...Object.keys(a), ...Object.keys(b)])]
+    .filter((field) => (a[field] ?? null) !== (b[field] ?? null))
+    .map((field) => ({ field, before: a[field] ?? null, after: b[field] ?? null }));
+}
+
+/**
+ * Split a `gh`-layout log (job<TAB>step<TAB>line) into per-job logs.
+ *
+ * @param {string} logText
+ * @returns {Map<string, string>} Job name → that job's lines.
+ */
+function splitLogByJob(logText) {
+  const jobs = new Map();
+  for (const line of (logText ?? "").split("\n")) {
+    const tab = line.indexOf("\t");
+    if (tab === -1) continue;
+    const job = line.slice(0, tab);
+    if (!jobs.has(job)) jobs.set(job, []);
+    jobs.get(job).push(line);
+  }
+  return new Map([...jobs].map(([job, lines]) => [job, lines.join("\n")]));
+}
+
+/**
+ * Fingerprint the failed jobs of a run and diff them against the same
+ * jobs in the last green run.
+ *
+ * @param {object[]} failedJobs - From `getRunJobs()` (need databaseId, name).
+ * @param {{ text: string, failedOnly: boolean }|null} logs - The run's logs;
+ *   a full log (not `--log-failed`) is used instead of downloading each job.
+ * @param {number|null} baselineRunId - Last successful run, if known.
+ * @returns {Promise<object|string>} { baselineRunId, jobs: [{ job, fingerprint, baseline, changes }] },
+ *   or a bracketed note when no job log had environment details.
+ */
+export async function collectEnvironment(failedJobs, logs, baselineRunId) {
+  const fullLog = logs && !logs.failedOnly ? splitLogByJob(logs.text) : null;
+  const jobLog = async (job) => fullLog?.get(job.name) ?? (job.databaseId ? await getJobLogHead(job.databaseId, MAX_SETUP_LINES) : null);
+
+  let baselineJobs = [];
+  if (baselineRunId) {
+    try {
+      baselineJobs = await getRunJobs(baselineRunId);
+    } catch {
+      baselineJobs = [];
+    }
+  }
+
+  const jobs = [];
+  for (const job of failedJobs.slice(0, MAX_JOBS)) {
+    const fingerprint = parseEnvironment(await jobLog(job));
+    if (!fingerprint) continue;
+
+    const green = baselineJobs.find((j) => j.name === job.name);
+    const greenLog = green?.databaseId ? await getJobLogHead(green.databaseId, MAX_SETUP_LINES) : null;
+    const baseline = parseEnvironment(greenLog);
+    jobs.push({
+      job: job.name,
+      fingerprint,
+      baseline,
+      changes: baseline ? diffEnvironments(baseline, fingerprint) : null,
+    });
+  }
+
+  if (jobs.length === 0) return "[No runner environment details found in the failed jobs' logs]";
+  return { baselineRunId: baselineRunId ?? null, jobs };
+}
+
+/**
+ * Fingerprint the jobs in a local log (offline mode — no baseline).
+ *
+ * @param {string} logText - Log in the `gh` layout (see localInputs.js).
+ * @returns {object|string} Same shape as `collectEnvironment()`.
+ */
+export function localEnvironment(logText) {
+  const jobs = [];
+  for (const [job, text] of splitLogByJob(logText)) {
+    const fingerprint = parseEnvironment(text);
+    if (fingerprint) jobs.push({ job, fingerprint, baseline: null, changes: null });
+    if (jobs.length >= MAX_JOBS) break;
+  }
+  if (jobs.length === 0) return "[No runner environment details found in the log]";
+  return { baselineRunId: null, jobs };
+}
@@ -0,0 +1,173 @@
+/**
+ * excerpt.js — Error-aware log excerpting
+ *
+ * Tailing a log misses the real error whenever a job prints cleanup or
+ * post-step output after failing. Instead we look for anchor lines that
+ * usually mark the failure (`##[error]`, `npm ERR!`, stack frames,
+ * assertion failures, compiler errors, …) and keep a window of context
+ * around each one. Overlapping windows are merged, repeated windows are
+ * dropped, and every kept line carries its original line number.
+ */
+
+/**
+ * Anchor patterns, strongest signal first. `weight` decides which windows
+ * survive when the line budget is tight; `after` widens the trailing
+ * context for anchors that are followed by useful detail (stack traces).
+ */
+const ANCHORS = [
+  { name: "gha_error", pattern: /##\[error\]/, weight: 5 },
+  { name: "exit_code", pattern: /Process completed with exit code [1-9]\d*/, weight: 4 },
+  { name: "npm_error", pattern: /\bnpm (?:ERR!|error)\s/, weight: 4 },
+  { name: "compiler_error", pattern: /(?:^|[\s:(])error(?:\[E\d+\]|\s+TS\d+)?:\s/i, weight: 4 },
+  { name: "assertion", pattern: /\bAssertionError\b|\bassert(?:ion)? failed\b|\bExpected\b.*\b(?:Received|to (?:be|equal))\b/i, weight: 4, after: 12 },
+  { name: "test_failed", pattern: /\bFAILED\b|^\s*(?:FAIL|✕|✖|×)\s|\b\d+ (?:failing|failed)\b/, weight: 3, after: 8 },
+  { name: "traceback", pattern: /Traceback \(most recent call last\)|Exception in thread|^\s*panic:|^\w*(?:Error|Exception): /, weight: 3, after: 15 },
+  { name: "stack_frame", pattern: /^\s+at\s+\S.*(?:\(.+:\d+:\d+\)|:\d+:\d+)$|^\s+File ".+", line \d+/, weight: 1 },
+];
+
+const DEFAULT_BEFORE = 10;
+const DEFAULT_AFTER = 5;
+
+/**
+ * Find anchor lines in a log.
+ *
+ * @param {string[]} lines
+ * @returns {{ index: number, name: string, weight: number, after: number }[]}
+ */
+export function findAnchors(lines) {
+  const anchors = [];
+  lines.forEach((line, index) => {
+    const anchor = ANCHORS.find((a) => a.pattern.test(line));
+    if (anchor) {
+      anchors.push({
+        index,
+        name: anchor.name,
+        weight: anchor.weight,
+        after: anchor.after ?? DEFAULT_AFTER,
+      });
+    }
+  });
+  return anchors;
+}
+
+/**
+ * Build merged context windows around anchors.
+ *
+ * @param {string[]} lines
+ * @param {object[]} anchors - From `findAnchors()`.
+ * @param {number} before - Context lines before each anchor.
+ * @returns {{ start: number, end: number, first: number, anchors: string[], score: number }[]}
+ *   Windows with inclusive 0-based `start`/`end` (and the first anchor's
+ *   index as `first`), in log order.
+ */
+function buildWindows(lines, anchors, before) {
+  const windows = [];
+  for (const anchor of anchors) {
+    const start = Math.max(0, anchor.index - before);
+    const end = Math.min(lines.length - 1, anchor.index + anchor.after);
+    const last = windows[windows.length - 1];
+    if (last && start <= last.end + 1) {
+      last.end = Math.max(last.end, end);
+      if (!last.anchors.includes(anchor.name)) last.anchors.push(anchor.name);
+      last.score = Math.max(last.score, anchor.weight);
+    } else {
+      windows.push({ start, end, first: anchor.index, anchors: [anchor.name], score: anchor.weight });
+    }
+  }
+  return windows;
+}
+
+/**
+ * Drop windows whose content repeats an earlier window
+ * (e.g. the same error printed once per retry).
+ *
+ * @param {string[]} lines
+ * @param {object[]} windows
+ * @returns {object[]}
+ */
+function dedupeWindows(lines, windows) {
+  const seen = new Set();
+  return windows.filter((w) => {
+    const key = lines.slice(w.start, w.end + 1).join("\n").trim();
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+}
+
+/**
+ * Render windows with 1-based line numbers, separated by "…" markers.
+ *
+ * @param {string[]} lines
+ * @param {object[]} windows
+ * @returns {string}
+ */
+function renderWindows(lines, windows) {
+  const width = String(lines.length).length;
+  const out = [];
+  windows.forEach((w, i) => {
+    if (i > 0 || w.start > 0) out.push("…");
+    for (let n = w.start; n <= w.end; n++) {
+      out.push(`${String(n + 1).padStart(width)} | ${lines[n]}`);
+    }
+  });
+  if (windows.length > 0 && windows[windows.length - 1].end < lines.length - 1) {
+    out.push("…");
+  }
+  return out.join("\n");
+}
+
+/**
+ * Excerpt a log around its failure anchors.
+ *
+ * When the windows exceed `maxLines`, windows with the strongest anchor
+ * are kept (ties go to later windows, which sit closer to the failure) and
+ * rendered back in log order. Logs without any anchor fall back to the
+ * last `maxLines` lines.
+ *
+ * @param {string|string[]} log - Log text or pre-split lines.
+ * @param {object} [opts]
+ * @param {number} [opts.maxLines=80] - Line budget for the excerpt.
+ * @param {number} [opts.before=10] - Context lines before each anchor.
+ * @returns {{ text: string, windows: { start: number, end: number, anchor: number, anchors: string[] }[], anchorCount: number, totalLines: number }}
+ *   `windows` use 1-based inclusive line numbers; `anchor` is the line of
+ *   the window's first anchor.
+ */
+export function excerptLog(log, { maxLines = 80, before = DEFAULT_BEFORE } = {}) {
+  const lines = Array.isArray(log) ? log : String(log ?? "").split("\n");
+  const anchors = findAnchors(lines);
+
+  let windows = anchors.length > 0
+    ? dedupeWindows(lines, buildWindows(lines, anchors, before))
+    : [{ start: Math.max(0, lines.length - maxLines), end: lines.length - 1, first: lines.length - 1, anchors: [], score: 0 }];
+
+  const size = (w) => w.end - w.start + 1;
+  if (windows.reduce((n, w) => n + size(w), 0) > maxLines) {
+    const ranked = windows
+      .map((w, order) => ({ w, order }))
+      .sort((a, b) => b.w.score - a.w.score || b.order - a.order);
+    const kept = [];
+    let used = 0;
+    for (const { w, order } of ranked) {
+      if (used >= maxLines) break;
+      const room = maxLines - used;
+      // Shrink an oversized window around its first anchor, keeping a
+      // little leading context and as much of what follows as fits.
+      let trimmed = w;
+      if (size(w) > room) {
+        const start = Math.max(w.start, Math.min(w.first - Math.floor(room / 3), w.end - room + 1));
+        trimmed = { ...w, start, end: Math.min(w.end, start + room - 1) };
+      }
+      kept.push({ w: trimmed, order });
+      used += size(trimmed);
+    }
+    windows = kept.sort((a, b) => a.order - b.order).map((k) => k.w);
+  }
+
+  return {
+    text: renderWindows(lines, windows),
+    windows: windows.map((w) => ({ start: w.start + 1, end: w.end + 1, anchor: w.first + 1, anchors: w.anchors })),
+    anchorCount: anchors.length,
+    totalLines: lines.length,
+  };
+}
@@ -0,0 +1,164 @@
+/**
+ * flakiness.js — Classify a failure as deterministic, flaky or infrastructure
+ *
+ * Not every red run needs a code fix. Before we ask for a patch we look at:
+ *   - earlier attempts of the same run that concluded differently
+ *   - the same commit both passing and failing in this workflow's history
+ *     (and whether the failing jobs passed there)
+ *   - known transient log signatures (network blips, registry 5xx, runner
+ *     disk/communication problems)
+ *
+ * The result is one of:
+ *   "deterministic"  — nothing suggests the failure would go away on retry
+ *   "likely_flaky"   — a rerun has a real chance of passing
+ *   "infrastructure" — the runner or platform failed, not the code
+ */
+
+import {
+  listWorkflowRuns,
+  getRunAttemptConclusion,
+  getRunJobs,
+} from "./githubActions.js";
+
+export const FLAKINESS = {
+  DETERMINISTIC: "deterministic",
+  LIKELY_FLAKY: "likely_flaky",
+  INFRASTRUCTURE: "infrastructure",
+};
+
+/** Log signatures of transient failures, grouped by what they imply */
+const TRANSIENT_SIGNATURES = [
+  { kind: "infrastructure", name: "runner_lost", pattern: /The runner has received a shutdown signal|lost communication with the server|The hosted runner .* lost communication/i },
+  { kind: "infrastructure", name: "disk_full", pattern: /No space left on device|ENOSPC/ },
+  { kind: "infrastructure", name: "runner_oom", pattern: /The runner .* ran out of memory|exit code 137\b|Killed\s*$/im },
+  { kind: "infrastructure", name: "service_unavailable", pattern: /GitHub Actions is (?:currently )?(?:experiencing|unavailable)|Failed to download action|Unable to resolve action/i },
+  { kind: "network", name: "connection_reset", pattern: /ECONNRESET|ECONNREFUSED|EAI_AGAIN|socket hang up|Connection reset by peer/i },
+  { kind: "network", name: "timeout", pattern: /ETIMEDOUT|ESOCKETTIMEDOUT|Read timed out|TLS handshake timeout|i\/o timeout/i },
+  { kind: "network", name: "registry_5xx", pattern: /\b(?:502 Bad Gateway|503 Service Unavailable|504 Gateway Time-?out)\b|npm ERR! code E50[234]/i },
+  { kind: "network", name: "rate_limited", pattern: /rate limit exceeded|429 Too Many Requests|toomanyrequests/i },
+  { kind: "network", name: "dns", pattern: /Could not resolve host|getaddrinfo ENOTFOUND|Temporary failure in name resolution/i },
+];
+
+/**
+ * Scan a log for known transient failure signatures.
+ *
+ * @param {string} logText
+ * @returns {{ kind: string, name: string, line: string }[]}
+ */
+export function findTransientSignatures(logText) {
+  const hits = [];
+  const lines = (logText ?? "").split("\n");
+  for (const sig of TRANSIENT_SIGNATURES) {
+    const line = lines.find((l) => sig.pattern.test(l));
+    if (line) hits.push({ kind: sig.kind, name: sig.name, line: line.trim().slice(0, 200) });
+  }
+  return hits;
+}
+
+/**
+ * Turn collected signals into a classification.
+ *
+ * @param {object[]} signals - { type, weight, … } where type is "flaky" or "infrastructure".
+ * @returns {{ classification: string, score: number }}
+ */
+export function classifySignals(signals) {
+  const infra = signals.filter((s) => s.type === "infrastructure").reduce((n, s) => n + s.weight, 0);
+  const flaky = signals.filter((s) => s.type === "flaky").reduce((n, s) => n + s.weight, 0);
+  if (infra >= 2 && infra >= flaky) {
+    return { classification: FLAKINESS.INFRASTRUCTURE, score: Math.min(100, infra * 30) };
+  }
+  if (flaky >= 2) {
+    return { classification: FLAKINESS.LIKELY_FLAKY, score: Math.min(100, flaky * 25) };
+  }
+  return { classification: FLAKINESS.DETERMINISTIC, score: Math.max(0, 100 - (flaky + infra) * 25) };
+}
+
+/**
+ * Turn transient log signatures into classification signals.
+ * @param {string} logText
+ * @returns {object[]}
+ */
+function signatureSignals(logText) {
+  return findTransientSignatures(logText).map((sig) => ({
+    type: sig.kind === "infrastructure" ? "infrastructure" : "flaky",
+    weight: sig.kind === "infrastructure" ? 2 : 1,
+    reason: `Log matches transient signature "${sig.name}"`,
+    line: sig.line,
+  }));
+}
+
+/**
+ * Analyze whether a failure is likely to pass on retry.
+ *
+ * @param {object} failedRun - Run metadata (databaseId, headSha, attempt, …).
+ * @param {object[]} failedJobs - From `getFailedJobs()`.
+ * @param {string} logText - Full (redacted) log text.
+ * @param {string|null} workflowPath - Used to query the workflow's run history.
+ * @returns {Promise<object>} { classification, score, signals, history }
+ */
+export async function analyzeFlakiness(failedRun, failedJobs, logText, workflowPath) {
+  const signals = [];
+
+  // 1 — Earlier attempts of this same run
+  const attempt = failedRun.attempt ?? 1;
+  for (let n = 1; n < attempt; n++) {
+    const conclusion = await getRunAttemptConclusion(failedRun.databaseId, n);
+    if (conclusion && conclusion !== failedRun.conclusion) {
+      signals.push({ type: "flaky", weight: 2, reason: `Attempt ${n} of this run concluded "${conclusion}"` });
+    }
+  }
+
+  // 2 — Same commit in this workflow's history
+  const workflow = workflowPath ? workflowPath.split("/").pop() : failedRun.workflowName;
+  const history = await listWorkflowRuns({ workflow, limit: 30 });
+  const sameCommit = history.filter((r) => r.headSha === failedRun.headSha && r.databaseId !== failedRun.databaseId);
+  const passedSameCommit = sameCommit.filter((r) => r.conclusion === "success");
+  const failedSameCommit = sameCommit.filter((r) => r.conclusion === "failure");
+
+  if (passedSameCommit.length > 0) {
+    signals.push({
+      type: "flaky",
+      weight: 2,
+      reason: `Same commit ${String(failedRun.headSha).slice(0, 7)} passed in run #${passedSameCommit[0].databaseId}`,
+    });
+    // Did the jobs that failed here pass in that run?
+    try {
+      const jobs = await getRunJobs(passedSameCommit[0].databaseId);
+      const passedJobs = failedJobs
+        .map((fj) => fj.name)
+        .filter((name) => jobs.some((j) => j.name === name && j.conclusion === "success"));
+      if (passedJobs.length > 0) {
+        signals.push({ type: "flaky", weight: 1, reason: `Failing job(s) passed on the same commit: ${passedJobs.join(", ")}` });
+      }
+    } catch {
+      /* job details are a bonus */
+    }
+  }
+
+  // 3 — Transient signatures in the log
+  signals.push(...signatureSignals(logText));
+
+  const recent = history.slice(0, 10);
+  return {
+    ...classifySignals(signals),
+    signals,
+    history: {
+      runsConsidered: history.length,
+      sameCommit: { passed: passedSameCommit.length, failed: failedSameCommit.length + 1 },
+      recentFailureRate: recent.length > 0
+        ? Math.round((recent.filter((r) => r.conclusion === "failure").length / recent.length) * 100)
+        : null,
+    },
+  };
+}
+
+/**
+ * Classify a failure from its log alone (offline mode — no run history).
+ *
+ * @param {string} logText
+ * @returns {object} { classification, score, signals, history: null }
+ */
+export function analyzeLogFlakiness(logText) {
+  const signals = signatureSignals(logText);
+  return { ...classifySignals(signals), signals, history: null };
+}
@@ -7,37 +7,258 @@
 import { execa } from "execa";
 import { redact } from "./redact.js";
 
+/** Fields requested for every run lookup (list and view). */
+const RUN_FIELDS = "databaseId,workflowName,headBranch,headSha,event,conclusion,createdAt,url,attempt";
+
 /**
- * Find the most recent failed GitHub Actions workflow run.
+ * Run conclusions that count as a failed run. Cancelled and timed-out
+ * runs are included so the step timeline can tell a concurrency or
+ * fail-fast cancellation (or a timeout) apart from a code error.
+ */
+export const FAILED_RUN_CONCLUSIONS = ["failure", "cancelled", "timed_out"];
+
+/**
+ * Find the most recent failed (or cancelled / timed-out) GitHub Actions
+ * workflow run.
+ *
+ * All filters are optional and map directly onto `gh run list` flags.
  *
+ * @param {object} [filters]
+ * @param {string} [filters.branch] - Only runs for this branch.
+ * @param {string} [filters.workflow] - Workflow name or file name.
+ * @param {string} [filters.commit] - Only runs for this head SHA.
  * @returns {Promise<object|null>} Run metadata or null if none found.
  */
-export async function getLatestFailedRun() {
-  const { stdout } = await execa("gh", [
+export async function getLatestFailedRun(filters = {}) {
+  const args = [
     "run", "list",
-    "--status", "failure",
-    "--limit", "20",
-    "--json", "databaseId,workflowName,headBranch,event,conclusion,createdAt,url",
-  ]);
+    "--status", "completed", // `--status` takes one value; filter the conclusions below
+    "--limit", "50",
+    "--json", RUN_FIELDS,
+  ];
+  if (filters.branch) args.push("--branch", filters.branch);
+  if (filters.workflow) args.push("--workflow", filters.workflow);
+  if (filters.commit) args.push("--commit", filters.commit);
+
+  const { stdout } = await execa("gh", args);
   const runs = JSON.parse(stdout);
   // Pick the most recent failure (list is sorted by recency)
-  const failed = runs.find((r) => r.conclusion === "failure");
+  const failed = runs.find((r) => FAILED_RUN_CONCLUSIONS.includes(r.conclusion));
   return failed ?? null;
 }
 
 /**
- * Get the failed jobs for a given run ID.
+ * Find the most recent successful run of a workflow on a branch that
+ * started before a given time (i.e. the last green run before a failure).
+ *
+ * @param {object} opts
+ * @param {string} opts.workflow - Workflow name or file name.
+ * @param {string} opts.branch
+ * @param {string} opts.before - ISO timestamp; only runs created earlier count.
+ * @returns {Promise<object|null>} Run metadata or null if none found.
+ */
+export async function getLastSuccessfulRun({ workflow, branch, before }) {
+  try {
+    const { stdout } = await execa("gh", [
+      "run", "list",
+      "--status", "success",
+      "--workflow", workflow,
+      "--branch", branch,
+      "--limit", "20",
+      "--json", RUN_FIELDS,
+    ]);
+    const runs = JSON.parse(stdout);
+    return runs.find((r) => !before || new Date(r.createdAt) < new Date(before)) ?? null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Get metadata for a specific run.
+ *
+ * @param {number} runId
+ * @returns {Promise<object>} Run metadata (same shape as `getLatestFailedRun`).
+ */
+export async function getRun(runId) {
+  try {
+    const { stdout } = await execa("gh", [
+      "run", "view", String(runId),
+      "--json", RUN_FIELDS,
+    ]);
+    return JSON.parse(stdout);
+  } catch {
+    throw new Error(`Could not find workflow run #${runId}. Check the run ID and your \`gh\` access.`);
+  }
+}
+
+/**
+ * Get the head branch and head commit of a pull request.
+ *
+ * @param {number} prNumber
+ * @returns {Promise<{ headRefName: string, headRefOid: string }>}
+ */
+export async function getPullRequestHead(prNumber) {
+  try {
+    const { stdout } = await execa("gh", [
+      "pr", "view", String(prNumber),
+      "--json", "headRefName,headRefOid",
+    ]);
+    return JSON.parse(stdout);
+  } catch {
+    throw new Error(`Could not find pull request #${prNumber}.`);
+  }
+}
+
+/**
+ * Get the repo-relative path of the workflow file that produced a run
+ * (e.g. ".github/workflows/ci.yml"), from the GitHub API.
+ *
+ * @param {number} runId
+ * @returns {Promise<string|null>} Workflow path, or null if unavailable.
+ */
+export async function getRunWorkflowPath(runId) {
+  try {
+    const { stdout } = await execa("gh", [
+      "api", `repos/{owner}/{repo}/actions/runs/${runId}`,
+      "--jq", ".path",
+    ]);
+    // Paths can carry a ref suffix, e.g. ".github/workflows/ci.yml@refs/heads/main"
+    const workflowPath = stdout.trim().replace(/@.*$/, "");
+    return workflowPath || null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Get all jobs (any conclusion) for a given run ID.
  *
  * @param {number} runId
  * @returns {Promise<object[]>}
  */
-export async function getFailedJobs(runId) {
+export async function getRunJobs(runId) {
   const { stdout } = await execa("gh", [
     "run", "view", String(runId),
     "--json", "jobs",
   ]);
-  const { jobs } = JSON.parse(stdout);
-  return jobs.filter((j) => j.conclusion === "failure");
+  return JSON.parse(stdout).jobs;
+}
+
+/** Job conclusions that count as a failed job */
+export const FAILED_JOB_CONCLUSIONS = ["failure", "timed_out"];
+
+/**
+ * Get the failed jobs for a given run ID.
+ *
+ * @param {number} runId
+ * @returns {Promise<object[]>}
+ */
+export async function getFailedJobs(runId) {
+  const jobs = await getRunJobs(runId);
+  return jobs.filter((j) => FAILED_JOB_CONCLUSIONS.includes(j.conclusion));
+}
+
+/**
+ * Get the check-run annotations of a job (the job ID is its check run ID):
+ * the file/line/message entries GitHub shows on the run summary.
+ *
+ * @param {number} jobId
+ * @returns {Promise<{ path: string, start_line: number, end_line: number,
+ *   annotation_level: string, title: string, message: string }[]>}
+ */
+export async function getJobAnnotations(jobId) {
+  try {
+    const { stdout } = await execa("gh", [
+      "api", `repos/{owner}/{repo}/check-runs/${jobId}/annotations`,
+      "--jq", "[.[] | { path, start_line, end_line, annotation_level, title, message }]",
+    ]);
+    return JSON.parse(stdout);
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * List recent completed runs of a workflow (any branch, any conclusion).
+ *
+ * @param {object} opts
+ * @param {string} opts.workflow - Workflow name or file name.
+ * @param {number} [opts.limit=30]
+ * @returns {Promise<object[]>} Runs, most recent first.
+ */
+export async function listWorkflowRuns({ workflow, limit = 30 }) {
+  try {
+    const { stdout } = await execa("gh", [
+      "run", "list",
+      "--workflow", workflow,
+      "--status", "completed",
+      "--limit", String(limit),
+      "--json", RUN_FIELDS,
+    ]);
+    return JSON.parse(stdout);
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * Get the conclusion of an earlier attempt of a run.
+ *
+ * @param {number} runId
+ * @param {number} attempt - 1-based attempt number.
+ * @returns {Promise<string|null>}
+ */
+export async function getRunAttemptConclusion(runId, attempt) {
+  try {
+    const { stdout } = await execa("gh", [
+      "api", `repos/{owner}/{repo}/actions/runs/${runId}/attempts/${attempt}`,
+      "--jq", ".conclusion",
+    ]);
+    return stdout.trim() || null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Re-run only the failed jobs of a run (creates a new attempt of the same run).
+ *
+ * @param {number} runId
+ */
+export async function rerunFailedJobs(runId) {
+  await execa("gh", ["run", "rerun", String(runId), "--failed"]);
+}
+
+/**
+ * List the (unexpired) artifacts uploaded by a run.
+ *
+ * @param {number} runId
+ * @returns {Promise<{ name: string, size_in_bytes: number }[]>}
+ */
+export async function listRunArtifacts(runId) {
+  try {
+    const { stdout } = await execa("gh", [
+      "api", `repos/{owner}/{repo}/actions/runs/${runId}/artifacts`,
+      "--jq", "[.artifacts[] | select(.expired | not) | { name, size_in_bytes }]",
+    ]);
+    return JSON.parse(stdout);
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * Download one artifact of a run into a directory.
+ *
+ * @param {number} runId
+ * @param {string} name - Artifact name.
+ * @param {string} dir - Destination directory.
+ */
+export async function downloadArtifact(runId, name, dir) {
+  await execa("gh", ["run", "download", String(runId), "--name", name, "--dir", dir], {
+    timeout: 120_000,
+  });
 }
 
 /**
@@ -55,42 +276,83 @@ export async function getRunHtmlUrl(runId) {
 }
 
 /**
- * Download log output for a failed run.
- * Keeps only the last N lines and redacts secrets.
+ * Download log output for a failed run and redact secrets.
+ * Prefers `--log-failed` (failed steps only) and falls back to the full `--log`.
+ *
+ * The whole log is returned — splitting and trimming happens per job/step
+ * in the bundle builder.
  *
  * @param {number} runId
- * @param {number} [tailLines=200]
- * @returns {Promise<string>} Redacted log excerpt.
+ * @returns {Promise<{ text: string, failedOnly: boolean }|null>} Redacted log, or null if unavailable.
  */
-export async function getRunLogs(runId, tailLines = 200) {
+export async function getRunLogs(runId) {
   try {
     const { stdout } = await execa("gh", [
       "run", "view", String(runId), "--log-failed",
     ]);
-    const lines = stdout.split("\n");
-    return redact(lines.slice(-tailLines).join("\n"));
+    return { text: redact(stdout), failedOnly: true };
   } catch {
     try {
       const { stdout } = await execa("gh", [
         "run", "view", String(runId), "--log",
       ]);
-      const lines = stdout.split("\n");
-      return redact(lines.slice(-tailLines).join("\n"));
+      return { text: redact(stdout), failedOnly: false };
     } catch {
-      return "[Could not retrieve logs]";
+      return null;
+    }
+  }
+}
+
+/**
+ * Download the start of one job's log (where "Set up job" and the
+ * setup-* steps are) and redact secrets. The download stops after
+ * `maxLines` lines instead of fetching the whole log.
+ *
+ * @param {number} jobId
+ * @param {number} maxLines - Lines to read.
+ * @returns {Promise<string|null>} Redacted log head, or null if unavailable.
+ */
+export async function getJobLogHead(jobId, maxLines) {
+  const subprocess = execa("gh", ["run", "view", "--job", String(jobId), "--log"], {
+    timeout: 120_000,
+    buffer: false,
+  });
+  const lines = [];
+  try {
+    for await (const line of subprocess) {
+      lines.push(line);
+      if (lines.length >= maxLines) break;
     }
+  } catch {
+    // a failed download leaves `lines` empty
+  } finally {
+    subprocess.kill();
+    await subprocess.catch(() => {});
   }
+  return lines.length > 0 ? redact(lines.join("\n")) : null;
 }
 
 /**
- * Parse the failed step name from log output (best-effort heuristic).
+ * Find the steps that exited non-zero, from the "Process completed with
+ * exit code N" marker (best-effort heuristic).
+ *
+ * Understands both `gh` log output (job<TAB>step<TAB>timestamp message)
+ * and the older "step  timestamp message" layout.
  *
  * @param {string} logText
- * @returns {string|null}
+ * @returns {{ job: string|null, step: string }[]} Failing steps in log order.
  */
-export function parseFailingStep(logText) {
-  // GitHub Actions logs prefix lines with the step name
-  // e.g. "Run tests  2024-01-01T... Process completed with exit code 1"
-  const match = logText.match(/^(.+?)\s+\d{4}-\d{2}.*Process completed with exit code [^0]/m);
-  return match ? match[1].trim() : null;
+export function parseFailingSteps(logText) {
+  const found = [];
+  const re = /^(.+?)\s+\d{4}-\d{2}.*Process completed with exit code [1-9]/gm;
+  for (const match of (logText ?? "").matchAll(re)) {
+    const parts = match[1].split("\t").map((p) => p.trim());
+    const entry = parts.length >= 2
+      ? { job: parts[0], step: parts[1] }
+      : { job: null, step: parts[0] };
+    if (!found.some((f) => f.job === entry.job && f.step === entry.step)) {
+      found.push(entry);
+    }
+  }
+  return found;
 }
@@ -0,0 +1,115 @@
+/**
+ * localInputs.js — Read local files for offline analysis
+ *
+ * Offline mode builds the evidence bundle from files instead of `gh`:
+ * a log (pasted, "View raw logs", or the extracted log archive), an
+ * optional workflow YAML and optional test reports. Logs are converted
+ * to the `gh run view --log` layout (job<TAB>step<TAB>line) so the same
+ * splitting and excerpting applies.
+ */
+
+import fs from "node:fs";
+import path from "node:path";
+
+/** Marks the start of a step in raw (non-`gh`) Actions logs */
+const STEP_START = /^(?:\uFEFF?\d{4}-\d{2}-\d{2}T\S+Z )?##\[group\](Run .+)$/;
+
+/**
+ * Does the text already carry `gh`-style job/step prefixes?
+ * @param {string} text
+ * @returns {boolean}
+ */
+function hasStepPrefixes(text) {
+  return text.split("\n", 20).some((l) => l.split("\t").length >= 3);
+}
+
+/**
+ * Convert a raw log of one job into `gh` layout, starting a new step at
+ * each `##[group]Run …` marker.
+ *
+ * @param {string} text
+ * @param {string} job
+ * @param {string} [firstStep="Set up job"]
+ * @returns {string}
+ */
+function prefixRawLog(text, job, firstStep = "Set up job") {
+  let step = firstStep;
+  return text.split("\n").map((line) => {
+    const start = line.replace(/\r$/, "").match(STEP_START);
+    if (start) step = start[1].slice(0, 80);
+    return `${job}\t${step}\t${line}`;
+  }).join("\n");
+}
+
+/**
+ * Read a log directory as downloaded from the Actions UI: one folder per
+ * job holding `N_Step name.txt` files (top-level `N_job.txt` files hold
+ * the whole job and are only used when there is no folder for it).
+ *
+ * @param {string} dir
+ * @returns {string}
+ */
+function readLogDirectory(dir) {
+  const entries = fs.readdirSync(dir, { withFileTypes: true })
+    .sort((a, b) => a.name.localeCompare(b.name, undefined, { numeric: true }));
+  const jobDirs = new Set(entries.filter((e) => e.isDirectory()).map((e) => e.name));
+  const parts = [];
+
+  for (const entry of entries) {
+    const full = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      const steps = fs.readdirSync(full)
+        .filter((f) => f.endsWith(".txt"))
+        .sort((a, b) => a.localeCompare(b, undefined, { numeric: true }));
+      for (const file of steps) {
+        const step = file.replace(/^\d+_/, "").replace(/\.txt$/, "");
+        const text = fs.readFileSync(path.join(full, file), "utf-8");
+        parts.push(text.split("\n").map((l) => `${entry.name}\t${step}\t${l}`).join("\n"));
+      }
+    } else if (entry.name.endsWith(".txt")) {
+      const job = entry.name.replace(/^\d+_/, "").replace(/\.txt$/, "");
+      if (jobDirs.has(job)) continue;
+      parts.push(prefixRawLog(fs.readFileSync(full, "utf-8"), job));
+    }
+  }
+  return parts.join("\n");
+}
+
+/**
+ * Read a local log file or extracted log directory.
+ *
+ * @param {string} logPath
+ * @returns {string} Log text in `gh run view --log` layout (not yet redacted).
+ */
+export function readLocalLog(logPath) {
+  let stat;
+  try {
+    stat = fs.statSync(logPath);
+  } catch {
+    throw new Error(`Log file not found: ${logPath}`);
+  }
+  if (stat.isDirectory()) return readLogDirectory(logPath);
+
+  const text = fs.readFileSync(logPath, "utf-8");
+  if (hasStepPrefixes(text)) return text;
+  return prefixRawLog(text, path.basename(logPath).replace(/\.(txt|log)$/, ""));
+}
+
+/**
+ * Read a local workflow file.
+ *
+ * @param {string} file
+ * @returns {{ path: string, content: string }} Path is repo-relative when
+ *   the file lives under the working directory.
+ */
+export function readLocalWorkflow(file) {
+  let content;
+  try {
+    content = fs.readFileSync(file, "utf-8");
+  } catch {
+    throw new Error(`Workflow file not found: ${file}`);
+  }
+  const rel = path.relative(process.cwd(), path.resolve(file));
+  const display = rel && !rel.startsWith("..") && !path.isAbsolute(rel) ? rel : file;
+  return { path: display.split(path.sep).join("/"), content };
+}
@@ -0,0 +1,76 @@
+/**
+ * logs.js — Split GitHub Actions log output by job and step
+ *
+ * `gh run view --log` / `--log-failed` prefixes every line with the job
+ * name and step name, tab-separated, followed by an ISO timestamp:
+ *
+ *   build<TAB>Run tests<TAB>2024-01-01T12:00:00.0000000Z npm ERR! …
+ *
+ * We group lines into one section per job/step so each failed step gets
+ * its own evidence entry instead of sharing a single tail of the run.
+ */
+
+const TIMESTAMP_PREFIX = /^\uFEFF?\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(?:\.\d+)?Z ?/;
+
+/**
+ * Split raw `gh` log output into job/step sections.
+ *
+ * Lines that don't carry a job/step prefix are appended to the previous
+ * section (or to an "unknown" section if they come first).
+ *
+ * @param {string} logText
+ * @returns {{ job: string, step: string, lines: string[] }[]} Sections in log order.
+ */
+export function splitLogByStep(logText) {
+  if (!logText) return [];
+  const sections = [];
+  const byKey = new Map();
+  let current = null;
+
+  for (const rawLine of logText.split("\n")) {
+    const parts = rawLine.split("\t");
+    let line = rawLine;
+
+    if (parts.length >= 3) {
+      const [job, step] = parts;
+      line = parts.slice(2).join("\t");
+      const key = `${job}\t${step}`;
+      current = byKey.get(key);
+      if (!current) {
+        current = { job: job.trim(), step: step.trim(), lines: [] };
+        byKey.set(key, current);
+        sections.push(current);
+      }
+    } else if (!current) {
+      current = { job: "unknown", step: "unknown", lines: [] };
+      byKey.set("\t", current);
+      sections.push(current);
+    }
+
+    current.lines.push(line.replace(TIMESTAMP_PREFIX, "").replace(/\r$/, ""));
+  }
+
+  return sections;
+}
+
+/**
+ * Keep only the sections belonging to failed jobs (and, where known,
+ * failed steps). Used when we had to fall back to the full `--log`.
+ *
+ * @param {{ job: string, step: string, lines: string[] }[]} sections
+ * @param {object[]} failedJobs - Jobs from `getFailedJobs()`.
+ * @returns {{ job: string, step: string, lines: string[] }[]}
+ */
+export function filterFailedSections(sections, failedJobs) {
+  if (!failedJobs || failedJobs.length === 0) return sections;
+  const failed = sections.filter((s) => {
+    const job = failedJobs.find((j) => j.name === s.job);
+    if (!job) return false;
+    const failedSteps = (job.steps ?? []).filter((st) => st.conclusion === "failure");
+    if (failedSteps.length === 0) return true;
+    return failedSteps.some((st) => st.name === s.step);
+  });
+  // Job/step names in the log don't always match the API exactly —
+  // better to send everything than nothing.
+  return failed.length > 0 ? failed : sections;
+}
@@ -0,0 +1,282 @@
+/**
+ * matrix.js — Which matrix dimensions separate failing jobs from passing ones
+ *
+ * The API reports matrix jobs by display name only — "test (18, ubuntu-latest)"
+ * or, with a custom `name:`, "Test 18 on ubuntu-latest". We read the job's
+ * `strategy.matrix` from the workflow YAML, map each job of the run back to
+ * its matrix values, and look for the dimension that explains the failures:
+ *
+ *   fails on all node 18 variants (2/2), passes on 20/22
+ *
+ * The YAML is read line by line like the rest of workflows.js; matrices
+ * built from expressions (`matrix: ${{ fromJSON(…) }}`) can't be resolved
+ * and are reported as such.
+ */
+
+import { listWorkflowJobs, jobMatches } from "./workflows.js";
+import { FAILED_JOB_CONCLUSIONS } from "./githubActions.js";
+
+/**
+ * Parse a YAML scalar: strip comments and quotes.
+ * @param {string} raw
+ * @returns {string}
+ */
+function parseScalar(raw) {
+  return raw.replace(/\s+#.*$/, "").trim().replace(/^["']|["']$/g, "");
+}
+
+/**
+ * Parse a flow sequence of scalars (`[18, 20, "22"]`).
+ * @param {string} raw
+ * @returns {string[]|null} null if it isn't a flow sequence of scalars.
+ */
+function parseFlowList(raw) {
+  const text = raw.replace(/\s+#.*$/, "").trim();
+  if (!text.startsWith("[") || !text.endsWith("]") || text.includes("{")) return null;
+  return text.slice(1, -1).split(",").map(parseScalar).filter((v) => v !== "");
+}
+
+const indentOf = (line) => line.length - line.trimStart().length;
+
+/**
+ * Parse the body of a `matrix:` mapping.
+ *
+ * @param {string[]} lines - Lines below `matrix:` (more indented than it).
+ * @returns {{ dimensions: Record<string, string[]>, include: object[], exclude: object[] }}
+ */
+function parseMatrixBody(lines) {
+  const dimensions = {};
+  const include = [];
+  const exclude = [];
+  const body = lines.filter((l) => l.trim() && !l.trim().startsWith("#"));
+  if (body.length === 0) return { dimensions, include, exclude };
+  const keyIndent = indentOf(body[0]);
+
+  for (let i = 0; i < body.length; i++) {
+    if (indentOf(body[i]) !== keyIndent) continue;
+    const key = body[i].trim().match(/^([\w-]+):\s*(.*)$/);
+    if (!key) continue;
+    const [, name, rest] = key;
+
+    // Block items below this key
+    const items = [];
+    let j = i + 1;
+    while (j < body.length && indentOf(body[j]) > keyIndent) items.push(body[j++]);
+
+    if (name === "include" || name === "exclude") {
+      const entries = [];
+      for (const line of items) {
+        const item = line.match(/^(\s*)-\s+([\w-]+):\s*(.*)$/);
+        const cont = line.trim().match(/^([\w-]+):\s*(.*)$/);
+        if (item) entries.push({ [item[2]]: parseScalar(item[3]) });
+        else if (cont && entries.length > 0) entries[entries.length - 1][cont[1]] = parseScalar(cont[2]);
+      }
+      (name === "include" ? include : exclude).push(...entries);
+    } else if (rest) {
+      const values = parseFlowList(rest);
+      if (values) dimensions[name] = values;
+    } else {
+      const values = items
+        .map((l) => l.match(/^\s*-\s+(.+)$/))
+        .filter((m) => m && !/^[\w-]+:\s/.test(m[1]))
+        .map((m) => parseScalar(m[1]));
+      if (values.length > 0) dimensions[name] = values;
+    }
+  }
+  return { dimensions, include, exclude };
+}
+
+/**
+ * Read a job's `strategy.matrix` from workflow YAML.
+ *
+ * @param {object} parsed - From `listWorkflowJobs()`.
+ * @param {object} job - One of `parsed.jobs`.
+ * @returns {{ dimensions: Record<string, string[]>, include: object[], exclude: object[], expression: string|null }|null}
+ *   null when the job has no matrix.
+ */
+function readJobMatrix(parsed, job) {
+  const lines = parsed.lines.slice(job.start + 1, job.end);
+  const strategyAt = lines.findIndex((l) => l.startsWith(`${job.keyIndent}strategy:`));
+  if (strategyAt === -1) return null;
+
+  const strategyIndent = job.keyIndent.length;
+  let matrixAt = -1;
+  for (let i = strategyAt + 1; i < lines.length; i++) {
+    if (lines[i].trim() && indentOf(lines[i]) <= strategyIndent) break;
+    if (/^\s*matrix:/.test(lines[i])) {
+      matrixAt = i;
+      break;
+    }
+  }
+  if (matrixAt === -1) return null;
+
+  const inline = lines[matrixAt].replace(/^\s*matrix:\s*/, "").trim();
+  if (inline) {
+    return { dimensions: {}, include: [], exclude: [], expression: inline };
+  }
+
+  const matrixIndent = indentOf(lines[matrixAt]);
+  const body = [];
+  for (let i = matrixAt + 1; i < lines.length; i++) {
+    if (lines[i].trim() && indentOf(lines[i]) <= matrixIndent) break;
+    body.push(lines[i]);
+  }
+  return { ...parseMatrixBody(body), expression: null };
+}
+
+/**
+ * Work out the matrix values of one job from its display name.
+ *
+ * @param {string} jobName - API display name.
+ * @param {object} job - Workflow job ({ id, name }).
+ * @param {object} matrix - From `readJobMatrix()`.
+ * @returns {Record<string, string>|null}
+ */
+export function matrixValuesFromName(jobName, job, matrix) {
+  const keys = [
+    ...Object.keys(matrix.dimensions),
+    ...matrix.include.flatMap(Object.keys).filter((k, i, all) => !(k in matrix.dimensions) && all.indexOf(k) === i),
+  ];
+  const known = (key) => [
+    ...(matrix.dimensions[key] ?? []),
+    ...matrix.include.map((e) => e[key]).filter((v) => v !== undefined),
+  ];
+
+  // Custom name with ${{ matrix.x }} expressions: match it as a template
+  if (job.name && /\$\{\{\s*matrix\./.test(job.name)) {
+    const names = [];
+    const pattern = job.name
+      .split(/(\$\{\{\s*matrix\.[\w-]+\s*\}\})/)
+      .map((part) => {
+        const ref = part.match(/^\$\{\{\s*matrix\.([\w-]+)\s*\}\}$/);
+        if (ref) {
+          names.push(ref[1]);
+          return "(.+?)";
+        }
+        return part.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+      })
+      .join("");
+    const match = jobName.match(new RegExp(`^${pattern}$`));
+    if (!match) return null;
+    return Object.fromEntries(names.map((n, i) => [n, match[i + 1]]));
+  }
+
+  // Default naming: "<job> (v1, v2, …)"
+  const suffix = jobName.match(/\((.*)\)\s*$/);
+  if (!suffix) return null;
+  const parts = suffix[1].split(", ");
+  const values = {};
+  if (parts.length === keys.length) {
+    keys.forEach((k, i) => { values[k] = parts[i]; });
+    return values;
+  }
+  // Fewer parts than keys (e.g. include-only keys missing): match by value
+  for (const part of parts) {
+    const key = keys.find((k) => !(k in values) && known(k).includes(part));
+    if (key) values[key] = part;
+  }
+  return Object.keys(values).length > 0 ? values : null;
+}
+
+/**
+ * Find the dimensions that separate failing variants from passing ones.
+ *
+ * @param {{ values: Record<string, string>, outcome: string }[]} variants
+ *   outcome is "failed", "passed" or "cancelled" (cancelled ones are ignored).
+ * @returns {{ dimension: string, failingValues: string[], passingValues: string[], separates: boolean, summary: string }[]}
+ */
+export function separateDimensions(variants) {
+  const decided = variants.filter((v) => v.outcome !== "cancelled");
+  const dims = [...new Set(decided.flatMap((v) => Object.keys(v.values)))];
+  const findings = [];
+
+  for (const dim of dims) {
+    const byValue = new Map();
+    for (const v of decided) {
+      const value = v.values[dim];
+      if (value === undefined) continue;
+      const stats = byValue.get(value) ?? { failed: 0, total: 0 };
+      stats.total++;
+      if (v.outcome === "failed") stats.failed++;
+      byValue.set(value, stats);
+    }
+    if (byValue.size < 2) continue;
+
+    const failingValues = [...byValue].filter(([, s]) => s.failed === s.total).map(([v]) => v);
+    const passingValues = [...byValue].filter(([, s]) => s.failed === 0).map(([v]) => v);
+    if (failingValues.length === 0 || failingValues.length === byValue.size) continue;
+
+    const failedTotal = decided.filter((v) => v.outcome === "failed").length;
+    const explained = decided.filter((v) => v.outcome === "failed" && failingValues.includes(v.values[dim])).length;
+    const separates = explained === failedTotal && failingValues.length + passingValues.length === byValue.size;
+    const counts = failingValues.map((v) => `${byValue.get(v).failed}/${byValue.get(v).total}`).join(", ");
+    findings.push({
+      dimension: dim,
+      failingValues,
+      passingValues,
+      separates,
+      summary: `fails on all ${dim} ${failingValues.join("/")} variants (${counts})` +
+        (passingValues.length > 0 ? `, passes on ${passingValues.join("/")}` : "") +
+        (separates ? "" : " — other variants fail too"),
+    });
+  }
+
+  // Dimensions that fully explain the failures first
+  return findings.sort((a, b) => Number(b.separates) - Number(a.separates));
+}
+
+/**
+ * Analyse the matrix jobs of a run.
+ *
+ * @param {object[]} jobs - All jobs of the run (`getRunJobs()`), passing ones included.
+ * @param {string|null} workflowContent - Workflow YAML.
+ * @returns {object[]} One entry per matrix job with at least one failed variant:
+ *   { job, dimensions, expression, variants: [{ name, conclusion, values }], findings, summary }
+ */
+export function analyzeMatrix(jobs, workflowContent) {
+  const parsed = listWorkflowJobs(workflowContent ?? "");
+  if (!parsed) return [];
+  const results = [];
+
+  for (const wfJob of parsed.jobs) {
+    const matrix = readJobMatrix(parsed, wfJob);
+    if (!matrix) continue;
+    const runJobs = jobs.filter((j) => jobMatches(wfJob.id, wfJob.name, [j.name]));
+    if (!runJobs.some((j) => FAILED_JOB_CONCLUSIONS.includes(j.conclusion))) continue;
+
+    const variants = runJobs.map((j) => ({
+      name: j.name,
+      conclusion: j.conclusion,
+      values: matrix.expression ? null : matrixValuesFromName(j.name, wfJob, matrix),
+    }));
+    const outcome = (c) => (FAILED_JOB_CONCLUSIONS.includes(c) ? "failed" : c === "success" ? "passed" : "cancelled");
+    const findings = separateDimensions(
+      variants.filter((v) => v.values).map((v) => ({ values: v.values, outcome: outcome(v.conclusion) }))
+    );
+
+    const failed = variants.filter((v) => outcome(v.conclusion) === "failed").length;
+    const passed = variants.filter((v) => outcome(v.conclusion) === "passed").length;
+    const cancelled = variants.length - failed - passed;
+    let summary;
+    if (matrix.expression) {
+      summary = `Matrix comes from an expression (${matrix.expression}); values can't be resolved from the YAML`;
+    } else if (findings[0]?.separates) {
+      summary = findings[0].summary;
+    } else if (passed === 0) {
+      summary = `Fails on every variant that ran (${failed}/${failed + passed}) — not specific to a matrix value`;
+    } else {
+      summary = findings[0]?.summary ?? `${failed} of ${failed + passed} variants failed with no single dimension separating them`;
+    }
+    if (cancelled > 0) summary += `; ${cancelled} variant(s) cancelled`;
+
+    results.push({
+      job: wfJob.id,
+      dimensions: matrix.dimensions,
+      expression: matrix.expression,
+      variants,
+      findings,
+      summary,
+    });
+  }
+  return results;
+}
@@ -0,0 +1,118 @@
+/**
+ * pii.js — Scrub personal and infrastructure details from text
+ *
+ * Secrets are dropped outright (redact.js); PII and infrastructure
+ * details are replaced by numbered placeholders instead, so the model can
+ * still see that two lines mention the same host or user:
+ *
+ *   deploy@corp.example.com → <email-1>
+ *   10.2.0.14               → <ip-1>
+ *   build-7.corp.example.com → <host-1>
+ *   /home/alice/src         → /home/<user-1>/src
+ *   …&X-Amz-Signature=abc…  → …&X-Amz-Signature=<signature-1>
+ *
+ * The same value always gets the same placeholder until
+ * `resetPiiPlaceholders()` (called once per bundle).
+ */
+
+import { isIPv6 } from "node:net";
+
+/** Home directory names that identify nobody (hosted runners, defaults) */
+const GENERIC_USERS = new Set(["runner", "runneradmin", "ubuntu", "default", "public", "vsts"]);
+
+/** Query parameters that carry URL signatures or tokens */
+const SIGNATURE_PARAMS = [
+  "X-Amz-Signature", "X-Amz-Credential", "X-Amz-Security-Token", "X-Goog-Signature",
+  "Signature", "sig", "se", "skoid", "sktid", "token", "access_token",
+];
+
+const EMAIL = /\b[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}\b/g;
+const IPV4 = /(?<![\w.])(?:(?:25[0-5]|2[0-4]\d|1?\d?\d)\.){3}(?:25[0-5]|2[0-4]\d|1?\d?\d)(?![\w.])/g;
+const IPV6_FULL = /(?<![\w:])(?:[0-9A-Fa-f]{1,4}:){7}[0-9A-Fa-f]{1,4}(?![\w:])/g;
+const IPV6_COMPRESSED = /(?<![\w:])(?:[0-9A-Fa-f]{1,4}:){1,6}:(?:[0-9A-Fa-f]{1,4}(?::[0-9A-Fa-f]{1,4})*)?(?![\w:])/g;
+const HOME_PATH = /(\/home\/|\/Users\/|[A-Za-z]:\\+Users\\+)([^/\\\s"':]+)/g;
+const SIGNATURE = new RegExp(`([?&](?:${SIGNATURE_PARAMS.join("|")})=)([^&\\s"'#]+)`, "gi");
+
+/**
+ * Compressed IPv6 matches that are really code: `a::b`, `fe::cafe` (Rust
+ * and C++ paths made of hex letters). A real address has three or more
+ * groups, or starts with a full four-digit group (`fe80::1`, `2001:db8::`).
+ * @param {string} match
+ * @returns {boolean}
+ */
+function notAnAddress(match) {
+  if (!isIPv6(match)) return true;
+  const groups = match.split(":").filter(Boolean);
+  return groups.length < 3 && groups[0].length < 4;
+}
+
+/** Loopback and unspecified addresses say nothing about your network */
+const NON_IDENTIFYING_IPS = new Set(["127.0.0.1", "0.0.0.0", "255.255.255.255"]);
+
+const placeholders = new Map(); // category → Map(value → placeholder)
+
+/**
+ * Placeholder for a value, numbered per category in order of appearance.
+ * @param {string} category - "email", "ip", "host", "user", "signature".
+ * @param {string} value
+ * @returns {string}
+ */
+function placeholderFor(category, value) {
+  if (!placeholders.has(category)) placeholders.set(category, new Map());
+  const seen = placeholders.get(category);
+  if (!seen.has(value)) seen.set(value, `<${category}-${seen.size + 1}>`);
+  return seen.get(value);
+}
+
+/** Forget placeholder assignments (start of a new bundle). */
+export function resetPiiPlaceholders() {
+  placeholders.clear();
+}
+
+const escapeRegExp = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+/**
+ * Replace PII and infrastructure details with placeholders.
+ *
+ * @param {string} text
+ * @param {object} settings - `pii` from the project config:
+ *   { emails, ips, homePaths, urlSignatures: boolean, internalDomains: string[] }
+ * @param {(category: string) => void} [onScrub] - Called once per replacement.
+ * @returns {string}
+ */
+export function scrubPii(text, settings, onScrub = () => {}) {
+  let result = text;
+  const replace = (pattern, category, keep = () => false) => {
+    result = result.replace(pattern, (match) => {
+      if (keep(match)) return match;
+      onScrub(category);
+      return placeholderFor(category, match);
+    });
+  };
+
+  if (settings.urlSignatures) {
+    result = result.replace(SIGNATURE, (match, param, value) => {
+      if (value.startsWith("<signature-") || value.startsWith("[REDACTED")) return match;
+      onScrub("signature");
+      return param + placeholderFor("signature", value);
+    });
+  }
+  if (settings.emails) replace(EMAIL, "email");
+  if (settings.internalDomains.length > 0) {
+    const domains = settings.internalDomains.map((d) => escapeRegExp(d.replace(/^\./, ""))).join("|");
+    replace(new RegExp(`(?<![\\w.-])(?:[A-Za-z0-9-]+\\.)*(?:${domains})(?![\\w-])`, "gi"), "host");
+  }
+  if (settings.ips) {
+    replace(IPV4, "ip", (ip) => NON_IDENTIFYING_IPS.has(ip) || ip.startsWith("127."));
+    replace(IPV6_FULL, "ip");
+    replace(IPV6_COMPRESSED, "ip", notAnAddress);
+  }
+  if (settings.homePaths) {
+    result = result.replace(HOME_PATH, (match, prefix, user) => {
+      if (GENERIC_USERS.has(user.toLowerCase()) || user.startsWith("<user-")) return match;
+      onScrub("user");
+      return prefix + placeholderFor("user", user);
+    });
+  }
+  return result;
+}
@@ -3,34 +3,258 @@
  *
  * Every piece of evidence passes through here before being included
  * in the bundle or displayed to the user.
+ *
+ * Each redaction is labelled with its category (`[REDACTED:github_pat]`)
+ * and counted, so a bundle can be shipped with a report of what was
+ * removed. Rules, in order:
+ *   1. built-in patterns for well-known token formats
+ *   2. extra patterns from `redaction.patterns` in the project config
+ *   3. values of secrets the workflow references (`${{ secrets.X }}`):
+ *      `X=value` / `X: value` assignments, and the literal value when X
+ *      is set in the local environment
+ *   4. long random-looking strings (Shannon entropy), unless disabled;
+ *      identifiers (`getUserProfileByIdentifierV2FromCache`) never count,
+ *      and source snippets are not scanned — the model has to quote them
+ *      exactly in patches
+ * Anything matched by `redaction.allowlist` is left alone. With
+ * `scrubPii`, emails, IPs, internal hosts, home-directory user names and
+ * URL signatures are then replaced by placeholders (see pii.js).
  */
 
+import { loadConfig } from "../utils/config.js";
+import { scrubPii, resetPiiPlaceholders } from "./pii.js";
+
 const SECRET_PATTERNS = [
-  /ghp_[A-Za-z0-9]{36}/g,                          // GitHub PATs
-  /gho_[A-Za-z0-9]{36}/g,                          // GitHub OAuth tokens
-  /github_pat_[A-Za-z0-9_]{82}/g,                  // Fine-grained PATs
-  /ghs_[A-Za-z0-9]{36}/g,                          // GitHub App installation tokens
-  /ghr_[A-Za-z0-9]{76}/g,                          // GitHub refresh tokens
-  /Bearer\s+[A-Za-z0-9\-._~+/]+=*/g,              // Bearer tokens
-  /token\s*[:=]\s*["']?[A-Za-z0-9\-._~+/]{20,}["']?/gi,
-  /password\s*[:=]\s*["']?[^\s"']{8,}["']?/gi,
-  /-----BEGIN\s+(RSA|DSA|EC|OPENSSH)?\s*PRIVATE KEY-----[\s\S]*?-----END/g, // Private keys
-  /AKIA[0-9A-Z]{16}/g,                             // AWS access key IDs
-  /sk-[A-Za-z0-9]{48}/g,                           // OpenAI API keys
-  /npm_[A-Za-z0-9]{36}/g,                          // npm tokens
+  { name: "github_pat", pattern: /ghp_[A-Za-z0-9]{36}/g },
+  { name: "github_oauth", pattern: /gho_[A-Za-z0-9]{36}/g },
+  { name: "github_fine_grained_pat", pattern: /github_pat_[A-Za-z0-9_]{82}/g },
+  { name: "github_app_token", pattern: /ghs_[A-Za-z0-9]{36}/g },
+  { name: "github_refresh_token", pattern: /ghr_[A-Za-z0-9]{76}/g },
+  { name: "bearer_token", pattern: /Bearer\s+[A-Za-z0-9\-._~+/]+=*/g },
+  { name: "token", pattern: /token\s*[:=]\s*["']?[A-Za-z0-9\-._~+/]{20,}["']?/gi },
+  { name: "password", pattern: /password\s*[:=]\s*["']?[^\s"']{8,}["']?/gi },
+  { name: "private_key", pattern: /-----BEGIN\s+(RSA|DSA|EC|OPENSSH)?\s*PRIVATE KEY-----[\s\S]*?-----END/g },
+  { name: "aws_access_key", pattern: /AKIA[0-9A-Z]{16}/g },
+  { name: "openai_api_key", pattern: /sk-[A-Za-z0-9]{48}/g },
+  { name: "npm_token", pattern: /npm_[A-Za-z0-9]{36}/g },
 ];
 
+/** Candidates for entropy detection: long runs of token characters */
+const ENTROPY_CANDIDATE = /[A-Za-z0-9_\-+=]{32,}/g;
+
+/** Bits per character above which a mixed-case alphanumeric string looks random */
+const ENTROPY_THRESHOLD = 4.2;
+
+/** Identifiers split into words this long on average; random tokens into 1–2 character runs */
+const MIN_IDENTIFIER_WORD_LENGTH = 3;
+
+/** Secret values shorter than this are too likely to appear by accident */
+const MIN_SECRET_VALUE_LENGTH = 6;
+
+let rules = null;
+const secretNames = new Set();
+let report = emptyReport();
+
+/** @returns {{ total: number, byCategory: Record<string, number>, allowlisted: number }} */
+function emptyReport() {
+  return { total: 0, byCategory: {}, allowlisted: 0 };
+}
+
+/**
+ * Compile the configured rules (once per process).
+ * @returns {{ pii: object|null, patterns: { name: string, pattern: RegExp }[], allowlist: RegExp[], entropy: boolean }}
+ */
+function getRules() {
+  if (rules) return rules;
+  const { redaction, scrubPii: pii, pii: piiSettings } = loadConfig();
+  rules = {
+    pii: pii ? piiSettings : null,
+    patterns: [
+      ...SECRET_PATTERNS,
+      ...redaction.patterns.map((p) => ({ name: p.name, pattern: p.regex })),
+    ],
+    allowlist: redaction.allowlist,
+    entropy: redaction.entropy,
+  };
+  return rules;
+}
+
+/**
+ * Shannon entropy of a string, in bits per character.
+ * @param {string} text
+ * @returns {number}
+ */
+function shannonEntropy(text) {
+  const counts = {};
+  for (const ch of text) counts[ch] = (counts[ch] ?? 0) + 1;
+  return Object.values(counts).reduce((sum, n) => {
+    const p = n / text.length;
+    return sum - p * Math.log2(p);
+  }, 0);
+}
+
+/**
+ * Is a string shaped like a camelCase / snake_case identifier — made of
+ * real words rather than short runs of mixed case and digits?
+ * @param {string} text
+ * @returns {boolean}
+ */
+function looksLikeIdentifier(text) {
+  if (!/^[A-Za-z_][A-Za-z0-9_]*$/.test(text)) return false;
+  const words = text.match(/[A-Z]?[a-z]+|[A-Z]+(?![a-z])|\d+/g) ?? [];
+  const letters = words.reduce((sum, w) => sum + w.length, 0);
+  return words.length > 0 && letters / words.length >= MIN_IDENTIFIER_WORD_LENGTH;
+}
+
+/**
+ * Does a string look like a random token? Requires upper case, lower
+ * case and digits so hex hashes (commit SHAs) don't count; identifiers
+ * don't either.
+ * @param {string} text
+ * @returns {boolean}
+ */
+function looksRandom(text) {
+  return /[a-z]/.test(text) && /[A-Z]/.test(text) && /\d/.test(text) &&
+    !looksLikeIdentifier(text) && shannonEntropy(text) >= ENTROPY_THRESHOLD;
+}
+
+const escapeRegExp = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+/**
+ * Remember the secrets a workflow references so their values are
+ * redacted too: `${{ secrets.X }}` names and the env keys they are
+ * assigned to (`NPM_TOKEN: ${{ secrets.NPM_PUBLISH }}`).
+ *
+ * @param {string} workflowContent - Workflow YAML.
+ * @returns {string[]} Names registered by this call.
+ */
+export function registerWorkflowSecrets(workflowContent) {
+  const found = new Set();
+  // GITHUB_TOKEN is masked by GitHub and its value never leaves the runner
+  for (const match of (workflowContent ?? "").matchAll(/secrets\.([A-Za-z_][A-Za-z0-9_]*)/g)) {
+    if (match[1] !== "GITHUB_TOKEN") found.add(match[1]);
+  }
+  for (const match of (workflowContent ?? "").matchAll(/^\s*([A-Za-z_][A-Za-z0-9_]*):\s*\$\{\{\s*secrets\.(\w+)/gm)) {
+    if (match[2] !== "GITHUB_TOKEN") found.add(match[1]);
+  }
+  for (const name of found) secretNames.add(name);
+  return [...found];
+}
+
+/**
+ * Replace matches of a pattern with a label, honouring the allowlist,
+ * and count them.
+ * @param {string} text
+ * @param {RegExp} pattern
+ * @param {string} category
+ * @param {RegExp[]} allowlist
+ * @returns {string}
+ */
+function replaceCounted(text, pattern, category, allowlist) {
+  return text.replace(pattern, (match) => {
+    if (allowlist.some((a) => a.test(match))) {
+      report.allowlisted++;
+      return match;
+    }
+    report.total++;
+    report.byCategory[category] = (report.byCategory[category] ?? 0) + 1;
+    return `[REDACTED:${category}]`;
+  });
+}
+
 /**
  * Redact potential secrets from a string.
  *
  * @param {string} text
- * @returns {string} Text with secrets replaced by [REDACTED].
+ * @param {object} [opts]
+ * @param {boolean} [opts.entropy=true] - Apply entropy detection (when
+ *   enabled in the config); off for source the model must quote exactly.
+ * @returns {string} Text with secrets replaced by `[REDACTED:<category>]`.
  */
-export function redact(text) {
+export function redact(text, { entropy: scanEntropy = true } = {}) {
   if (!text || typeof text !== "string") return text;
+  const { patterns, allowlist, entropy, pii } = getRules();
   let result = text;
-  for (const pattern of SECRET_PATTERNS) {
-    result = result.replace(pattern, "[REDACTED]");
+
+  for (const { name, pattern } of patterns) {
+    result = replaceCounted(result, pattern, name, allowlist);
+  }
+
+  for (const name of secretNames) {
+    const value = process.env[name];
+    if (value && value.length >= MIN_SECRET_VALUE_LENGTH) {
+      result = replaceCounted(result, new RegExp(escapeRegExp(value), "g"), "workflow_secret", allowlist);
+    }
+    // NAME=value / NAME: value — keep the name, drop the value (skip GitHub's "***" mask, earlier redactions and `${{ }}` expressions)
+    const assignment = new RegExp(`(\\b${name}\\s*[:=]\\s*["']?)(?!\\*\\*\\*|\\[REDACTED|\\$\\{\\{)([^\\s"']{${MIN_SECRET_VALUE_LENGTH},})`, "g");
+    result = result.replace(assignment, (match, prefix, value) =>
+      prefix + replaceCounted(value, /^[\s\S]+$/, "workflow_secret", allowlist)
+    );
+  }
+
+  if (entropy && scanEntropy) {
+    result = result.replace(ENTROPY_CANDIDATE, (match) =>
+      looksRandom(match) ? replaceCounted(match, /^[\s\S]+$/, "high_entropy", allowlist) : match
+    );
+  }
+
+  if (pii) {
+    result = scrubPii(result, pii, (category) => {
+      report.total++;
+      report.byCategory[category] = (report.byCategory[category] ?? 0) + 1;
+    });
   }
   return result;
 }
+
+/**
+ * Redact every string in a JSON-like value (for a final pass over a
+ * finished bundle, once all workflow secrets are known).
+ *
+ * @param {*} value
+ * @param {object} [opts] - Passed to redact().
+ * @returns {*} A copy with strings redacted.
+ */
+export function redactDeep(value, opts) {
+  if (typeof value === "string") return redact(value, opts);
+  if (Array.isArray(value)) return value.map((v) => redactDeep(v, opts));
+  if (value && typeof value === "object") {
+    return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, redactDeep(v, opts)]));
+  }
+  return value;
+}
+
+/**
+ * Redact a bundle's evidence entries (source snippets without entropy
+ * detection, see redact()).
+ *
+ * @param {object[]} evidence
+ * @returns {object[]}
+ */
+export function redactEvidence(evidence) {
+  return evidence.map((entry) => redactDeep(entry, { entropy: entry.type !== "source_snippet" }));
+}
+
+/** Start counting redactions (and numbering PII placeholders) for a new bundle. */
+export function resetRedactionReport() {
+  report = emptyReport();
+  resetPiiPlaceholders();
+}
+
+/**
+ * What has been redacted since the last reset.
+ *
+ * @returns {{ total: number, byCategory: Record<string, number>, allowlisted: number,
+ *   secretNames: string[], customPatterns: string[], entropy: boolean, pii: string[] }}
+ */
+export function getRedactionReport() {
+  const { patterns, entropy, pii } = getRules();
+  return {
+    ...report,
+    byCategory: { ...report.byCategory },
+    secretNames: [...secretNames],
+    customPatterns: patterns.slice(SECRET_PATTERNS.length).map((p) => p.name),
+    entropy,
+    pii: pii ? Object.keys(pii).filter((k) => pii[k] === true || pii[k]?.length > 0) : [],
+  };
+}
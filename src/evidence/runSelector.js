@@ -0,0 +1,132 @@
+/**
+ * runSelector.js — Decide which failed workflow run to diagnose
+ *
+ * A selector narrows the search to one run: an explicit run ID or URL,
+ * a branch, a workflow, a commit, or a pull request. Without any of
+ * those we default to the current branch (or HEAD when detached), so
+ * `analyze` no longer picks up failures from someone else's branch.
+ */
+
+import { execa } from "execa";
+import { getLatestFailedRun, getRun, getPullRequestHead } from "./githubActions.js";
+
+/**
+ * Parse a run reference: a numeric run ID or an Actions run URL
+ * (e.g. https://github.com/owner/repo/actions/runs/123456789/job/42).
+ *
+ * @param {string|number} ref
+ * @returns {number|null} The run ID, or null if the reference is not recognised.
+ */
+export function parseRunRef(ref) {
+  if (ref === undefined || ref === null) return null;
+  const text = String(ref).trim();
+  if (/^\d+$/.test(text)) return Number(text);
+  const match = text.match(/\/actions\/runs\/(\d+)/);
+  return match ? Number(match[1]) : null;
+}
+
+/**
+ * Determine the current branch, or the HEAD commit when detached.
+ *
+ * @returns {Promise<{ branch?: string, commit?: string }>}
+ */
+async function currentGitRef() {
+  try {
+    const { stdout: branch } = await execa("git", ["branch", "--show-current"]);
+    if (branch.trim()) return { branch: branch.trim() };
+    const { stdout: sha } = await execa("git", ["rev-parse", "HEAD"]);
+    return { commit: sha.trim() };
+  } catch {
+    return {};
+  }
+}
+
+/**
+ * Build a run selector from CLI input.
+ *
+ * @param {object} [options]
+ * @param {string|number} [options.run] - Run ID or run URL.
+ * @param {string} [options.branch]
+ * @param {string} [options.workflow]
+ * @param {string} [options.commit]
+ * @param {string|number} [options.pr]
+ * @returns {Promise<object>} Selector with a `source` describing how it was chosen.
+ */
+export async function resolveSelector(options = {}) {
+  if (options.run !== undefined && options.run !== null) {
+    const runId = parseRunRef(options.run);
+    if (!runId) {
+      throw new Error(`Not a run ID or Actions run URL: "${options.run}"`);
+    }
+    return { source: "run", runId };
+  }
+
+  const selector = {};
+  if (options.branch) selector.branch = options.branch;
+  if (options.workflow) selector.workflow = options.workflow;
+  if (options.commit) selector.commit = options.commit;
+  if (options.pr) {
+    const pr = Number(String(options.pr).replace(/^#/, ""));
+    if (!Number.isInteger(pr) || pr <= 0) {
+      throw new Error(`Not a pull request number: "${options.pr}"`);
+    }
+    selector.pr = pr;
+  }
+
+  if (selector.branch || selector.commit || selector.pr) {
+    return { source: "flags", ...selector };
+  }
+
+  // Nothing pins the branch or commit — default to where the user is.
+  const ref = await currentGitRef();
+  if (ref.branch) return { source: "current-branch", ...selector, branch: ref.branch };
+  if (ref.commit) return { source: "head", ...selector, commit: ref.commit };
+  return { source: "latest", ...selector };
+}
+
+/**
+ * Human-readable description of a selector, e.g. `branch "main", workflow "CI"`.
+ *
+ * @param {object} selector
+ * @returns {string}
+ */
+export function describeSelector(selector) {
+  if (!selector) return "latest failure";
+  if (selector.source === "offline") return `local log ${selector.log}`;
+  if (selector.runId) return `run #${selector.runId}`;
+  const parts = [];
+  if (selector.pr) parts.push(`PR #${selector.pr}`);
+  if (selector.branch) parts.push(`branch "${selector.branch}"`);
+  if (selector.commit) parts.push(`commit ${selector.commit.slice(0, 7)}`);
+  if (selector.workflow) parts.push(`workflow "${selector.workflow}"`);
+  if (parts.length === 0) return "latest failure";
+  return parts.join(", ");
+}
+
+/**
+ * Find the failed run matching a selector.
+ *
+ * @param {object} selector - From `resolveSelector()`.
+ * @returns {Promise<object|null>} Run metadata or null if no failure matches.
+ */
+export async function findSelectedRun(selector) {
+  if (selector.runId) {
+    return getRun(selector.runId);
+  }
+
+  const filters = {
+    branch: selector.branch,
+    workflow: selector.workflow,
+    commit: selector.commit,
+  };
+
+  if (selector.pr) {
+    // Prefer the PR's head commit; fall back to any failure on its branch.
+    const head = await getPullRequestHead(selector.pr);
+    const onHead = await getLatestFailedRun({ ...filters, commit: filters.commit ?? head.headRefOid });
+    if (onHead) return onHead;
+    return getLatestFailedRun({ ...filters, branch: filters.branch ?? head.headRefName });
+  }
+
+  return getLatestFailedRun(filters);
+}
@@ -0,0 +1,165 @@
+/**
+ * sourceSnippets.js — Attach source for files referenced in failure logs
+ *
+ * Stack traces and compiler errors name files and lines
+ * (`src/foo.ts:42:7`, `File "app/x.py", line 10`, `src/x.cs(12,5)`).
+ * We parse those references out of the log evidence, read the matching
+ * files from the working tree and attach numbered snippets, so patches
+ * can be written against the real context lines.
+ *
+ * Paths outside the repository (after stripping the runner's workspace
+ * prefix) are ignored, as are dependency directories.
+ */
+
+import fs from "node:fs";
+import path from "node:path";
+import { redact } from "./redact.js";
+
+const CONTEXT_LINES = 8;
+const MAX_SNIPPETS = 6;
+const MAX_TOTAL_CHARS = 12_000;
+const MAX_FILE_BYTES = 1_000_000;
+
+const REF_PATTERNS = [
+  // Python: File "app/x.py", line 10
+  { re: /File "([^"]+)", line (\d+)/g, file: 1, line: 2 },
+  // MSBuild / tsc --pretty false: src/x.ts(42,7)
+  { re: /([\w@.\-/\\:]+\.[A-Za-z][\w]*)\((\d+),(\d+)\)/g, file: 1, line: 2, col: 3 },
+  // Most tools: src/foo.ts:42:7 or src/foo.go:42
+  { re: /([\w@.\-/\\:]+\.[A-Za-z][\w]*):(\d+)(?::(\d+))?/g, file: 1, line: 2, col: 3 },
+];
+
+/** Checkout locations on GitHub-hosted and container runners */
+const WORKSPACE_PREFIXES = [
+  /^\/home\/runner\/work\/[^/]+\/[^/]+\//,
+  /^\/__w\/[^/]+\/[^/]+\//,
+  /^[A-Za-z]:[\\/]a[\\/][^\\/]+[\\/][^\\/]+[\\/]/,
+  /^\/Users\/runner\/work\/[^/]+\/[^/]+\//,
+];
+
+const IGNORED_DIRS = /(^|\/)(node_modules|site-packages|dist-packages|vendor|\.git)\//;
+
+/**
+ * Extract file:line references from text.
+ *
+ * @param {string} text
+ * @returns {{ file: string, line: number, column: number|null }[]} Unique refs in order of appearance.
+ */
+export function parseFileRefs(text) {
+  const refs = [];
+  const seen = new Set();
+  for (const { re, file, line, col } of REF_PATTERNS) {
+    for (const match of (text ?? "").matchAll(re)) {
+      const ref = {
+        file: match[file],
+        line: Number(match[line]),
+        column: col && match[col] ? Number(match[col]) : null,
+        index: match.index,
+      };
+      // URLs (https://host:443/…) look like file:line — skip them
+      if (/^[a-z]+:\/\//i.test(ref.file) || ref.line === 0) continue;
+      const key = `${ref.file}:${ref.line}`;
+      if (seen.has(key)) continue;
+      seen.add(key);
+      refs.push(ref);
+    }
+  }
+  return refs
+    .sort((a, b) => a.index - b.index)
+    .map(({ file, line, column }) => ({ file, line, column }));
+}
+
+/**
+ * Map a path from the log onto the working tree.
+ *
+ * @param {string} file - Path as printed in the log.
+ * @returns {string|null} Repo-relative path (forward slashes), or null
+ *   if it points outside the repo, into dependencies, or doesn't exist.
+ */
+export function resolveRepoFile(file) {
+  let candidate = file.replace(/^\.\//, "");
+  for (const prefix of WORKSPACE_PREFIXES) {
+    candidate = candidate.replace(prefix, "");
+  }
+  candidate = candidate.replace(/\\/g, "/");
+  if (path.isAbsolute(candidate) || /^[A-Za-z]:\//.test(candidate)) return null;
+  if (IGNORED_DIRS.test(candidate)) return null;
+
+  const root = process.cwd();
+  const abs = path.resolve(root, candidate);
+  const rel = path.relative(root, abs);
+  if (!rel || rel.startsWith("..") || path.isAbsolute(rel)) return null;
+
+  try {
+    const stat = fs.statSync(abs);
+    if (!stat.isFile() || stat.size > MAX_FILE_BYTES) return null;
+  } catch {
+    return null;
+  }
+  return rel.split(path.sep).join("/");
+}
+
+/**
+ * Render lines around `line` with numbers; the referenced line is marked ">".
+ *
+ * @param {string[]} lines
+ * @param {number} line - 1-based.
+ * @returns {{ start: number, end: number, text: string }}
+ */
+function numberedSnippet(lines, line) {
+  const start = Math.max(1, line - CONTEXT_LINES);
+  const end = Math.min(lines.length, line + CONTEXT_LINES);
+  const width = String(end).length;
+  const out = [];
+  for (let n = start; n <= end; n++) {
+    const marker = n === line ? ">" : " ";
+    out.push(`${marker} ${String(n).padStart(width)} | ${lines[n - 1]}`);
+  }
+  return { start, end, text: out.join("\n") };
+}
+
+/**
+ * Collect source snippets for files referenced in log evidence.
+ *
+ * @param {object[]} logEvidence - `log_excerpt` entries (E4.x).
+ * @returns {object[]} Snippet data objects, in priority order:
+ *   { path, line, column, referencedBy, startLine, endLine, snippet }
+ */
+export function collectSourceSnippets(logEvidence) {
+  const snippets = [];
+  const covered = new Map(); // path → [start, end][] already attached
+  let totalChars = 0;
+
+  for (const entry of logEvidence) {
+    const text = typeof entry.data === "string" ? entry.data : entry.data?.excerpt;
+    for (const ref of parseFileRefs(text)) {
+      if (snippets.length >= MAX_SNIPPETS) return snippets;
+
+      const repoPath = resolveRepoFile(ref.file);
+      if (!repoPath) continue;
+      const ranges = covered.get(repoPath) ?? [];
+      if (ranges.some(([s, e]) => ref.line >= s && ref.line <= e)) continue;
+
+      const lines = fs.readFileSync(path.resolve(process.cwd(), repoPath), "utf-8").split("\n");
+      if (ref.line > lines.length) continue;
+
+      const snippet = numberedSnippet(lines, ref.line);
+      if (totalChars + snippet.text.length > MAX_TOTAL_CHARS) return snippets;
+      totalChars += snippet.text.length;
+      ranges.push([snippet.start, snippet.end]);
+      covered.set(repoPath, ranges);
+
+      snippets.push({
+        path: repoPath,
+        line: ref.line,
+        column: ref.column,
+        referencedBy: entry.id,
+        startLine: snippet.start,
+        endLine: snippet.end,
+        snippet: redact(snippet.text, { entropy: false }), // quoted verbatim in patches
+      });
+    }
+  }
+
+  return snippets;
+}
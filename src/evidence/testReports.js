@@ -0,0 +1,325 @@
+/**
+ * testReports.js — Structured test failures from report artifacts
+ *
+ * When a test job fails, the uploaded test report usually says more than
+ * the console: the exact test name, the assertion message and where it
+ * failed. We list the run's artifacts, download the ones that look like
+ * test reports and parse:
+ *   - JUnit XML (`<testsuite>` / `<testsuites>`, used by most runners)
+ *   - TRX (Visual Studio / `dotnet test`)
+ *   - TAP (`not ok N - …` with optional YAML diagnostics)
+ *
+ * Parsers work on plain strings/local files so they run offline.
+ */
+
+import fs from "node:fs";
+import path from "node:path";
+import { listRunArtifacts, downloadArtifact } from "./githubActions.js";
+import { parseFileRefs } from "./sourceSnippets.js";
+import { redact } from "./redact.js";
+import { cachePath } from "../utils/paths.js";
+
+const REPORT_ARTIFACT = /test|junit|xunit|report|result|trx|tap|surefire|pytest/i;
+/** Coverage artifacts ("test-coverage", "coverage-report") never hold test results */
+const COVERAGE_ARTIFACT = /coverage|lcov/i;
+const MAX_ARTIFACT_BYTES = 50 * 1024 * 1024;
+const MAX_ARTIFACTS = 5;
+const MAX_FILES = 200;
+const MAX_FAILURES = 25;
+const MAX_MESSAGE_CHARS = 600;
+
+/**
+ * Decode the XML entities and CDATA sections we care about.
+ * @param {string} text
+ * @returns {string}
+ */
+function decodeXml(text) {
+  return (text ?? "")
+    .replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, "$1")
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&quot;/g, "\"")
+    .replace(/&apos;/g, "'")
+    .replace(/&#(\d+);/g, (_, n) => String.fromCharCode(Number(n)))
+    .replace(/&#x([0-9a-f]+);/gi, (_, n) => String.fromCharCode(parseInt(n, 16)))
+    .replace(/&amp;/g, "&");
+}
+
+/**
+ * Parse the attributes of an XML start tag.
+ * @param {string} tag - e.g. `<testcase name="a" classname="b">`
+ * @returns {Record<string, string>}
+ */
+function attributes(tag) {
+  const attrs = {};
+  for (const match of tag.matchAll(/([\w:.-]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g)) {
+    attrs[match[1]] = decodeXml(match[2] ?? match[3]);
+  }
+  return attrs;
+}
+
+/**
+ * Inner text of the first `<tag>…</tag>` in `xml`.
+ * @param {string} xml
+ * @param {string} tag
+ * @returns {string|null}
+ */
+function innerText(xml, tag) {
+  const match = xml.match(new RegExp(`<${tag}\\b[^>]*>([\\s\\S]*?)</${tag}>`));
+  return match ? decodeXml(match[1]).trim() : null;
+}
+
+/**
+ * Fill in file/line from the failure text when the report doesn't say.
+ * @param {object} failure
+ * @returns {object}
+ */
+function withLocation(failure) {
+  if (failure.file && failure.line) return failure;
+  const text = `${failure.message ?? ""}\n${failure.details ?? ""}`;
+  // .NET stack frames: "at Foo.Bar() in /src/Foo.cs:line 22"
+  const dotnet = text.match(/ in (.+?):line (\d+)/);
+  const ref = dotnet ? { file: dotnet[1], line: Number(dotnet[2]) } : parseFileRefs(text)[0];
+  return {
+    ...failure,
+    file: failure.file ?? ref?.file ?? null,
+    line: failure.line ?? ref?.line ?? null,
+  };
+}
+
+function trimMessage(text) {
+  if (!text) return null;
+  return text.length > MAX_MESSAGE_CHARS ? `${text.slice(0, MAX_MESSAGE_CHARS)}…` : text;
+}
+
+/**
+ * Parse a JUnit XML report.
+ *
+ * @param {string} xml
+ * @returns {{ format: string, tests: number, failures: object[] }}
+ */
+export function parseJUnit(xml) {
+  const failures = [];
+  let tests = 0;
+  const caseRe = /<testcase\b([^>]*?)(?:\/>|>([\s\S]*?)<\/testcase>)/g;
+  for (const match of xml.matchAll(caseRe)) {
+    tests++;
+    const attrs = attributes(`<testcase ${match[1]}>`);
+    const body = match[2] ?? "";
+    const problem = body.match(/<(failure|error)\b([^>]*?)(?:\/>|>([\s\S]*?)<\/\1>)/);
+    if (!problem) continue;
+    const problemAttrs = attributes(`<x ${problem[2]}>`);
+    const details = decodeXml(problem[3] ?? "").trim();
+    failures.push(withLocation({
+      suite: attrs.classname ?? null,
+      name: attrs.name ?? "(unnamed test)",
+      kind: problem[1],
+      type: problemAttrs.type ?? null,
+      message: trimMessage(problemAttrs.message || details.split("\n")[0] || null),
+      details: trimMessage(details),
+      file: attrs.file ?? null,
+      line: attrs.line ? Number(attrs.line) : null,
+    }));
+  }
+  return { format: "junit", tests, failures };
+}
+
+/**
+ * Parse a TRX (Visual Studio Test Results) report.
+ *
+ * @param {string} xml
+ * @returns {{ format: string, tests: number, failures: object[] }}
+ */
+export function parseTrx(xml) {
+  const failures = [];
+  let tests = 0;
+  const resultRe = /<UnitTestResult\b([^>]*?)(?:\/>|>([\s\S]*?)<\/UnitTestResult>)/g;
+  for (const match of xml.matchAll(resultRe)) {
+    tests++;
+    const attrs = attributes(`<UnitTestResult ${match[1]}>`);
+    if (attrs.outcome !== "Failed" && attrs.outcome !== "Error") continue;
+    const body = match[2] ?? "";
+    const stack = innerText(body, "StackTrace");
+    failures.push(withLocation({
+      suite: null,
+      name: attrs.testName ?? "(unnamed test)",
+      kind: attrs.outcome === "Error" ? "error" : "failure",
+      type: null,
+      message: trimMessage(innerText(body, "Message")),
+      details: trimMessage(stack),
+      file: null,
+      line: null,
+    }));
+  }
+  return { format: "trx", tests, failures };
+}
+
+/**
+ * Parse TAP output (v12/v13, including YAML diagnostic blocks).
+ *
+ * @param {string} text
+ * @returns {{ format: string, tests: number, failures: object[] }}
+ */
+export function parseTap(text) {
+  const failures = [];
+  let tests = 0;
+  const lines = text.split("\n");
+  for (let i = 0; i < lines.length; i++) {
+    const match = lines[i].match(/^\s*(not ok|ok)\b\s*(\d+)?\s*(?:-\s*)?(.*?)(?:\s+#\s*(SKIP|TODO)\b.*)?$/i);
+    if (!match) continue;
+    tests++;
+    if (match[1].toLowerCase() !== "not ok" || match[4]) continue;
+
+    // Optional YAML block:   ---  …  ...
+    const diag = {};
+    if (lines[i + 1]?.trim() === "---") {
+      let j = i + 2;
+      const block = [];
+      while (j < lines.length && lines[j].trim() !== "...") block.push(lines[j++]);
+      i = j;
+      for (const line of block) {
+        const kv = line.match(/^\s*(message|at|file|line|operator|expected|actual|stack):\s*(.*)$/);
+        if (kv) diag[kv[1]] = kv[2].replace(/^["']|["']$/g, "");
+      }
+    }
+    const at = diag.at ? parseFileRefs(diag.at)[0] : null;
+    failures.push(withLocation({
+      suite: null,
+      name: match[3] || `test ${match[2] ?? tests}`,
+      kind: "failure",
+      type: diag.operator ?? null,
+      message: trimMessage(diag.message ?? null),
+      details: trimMessage([
+        diag.expected !== undefined ? `expected: ${diag.expected}` : null,
+        diag.actual !== undefined ? `actual: ${diag.actual}` : null,
+        diag.stack ?? null,
+      ].filter(Boolean).join("\n") || null),
+      file: diag.file ?? at?.file ?? null,
+      line: diag.line ? Number(diag.line) : at?.line ?? null,
+    }));
+  }
+  return { format: "tap", tests, failures };
+}
+
+/**
+ * Parse a report file, detecting its format from extension and content.
+ *
+ * @param {string} file - Path to a local file.
+ * @returns {{ format: string, tests: number, failures: object[] }|null}
+ *   null if the file is not a recognised report.
+ */
+export function parseTestReportFile(file) {
+  const text = fs.readFileSync(file, "utf-8");
+  if (file.endsWith(".trx") || /<TestRun\b/.test(text)) return parseTrx(text);
+  if (/<testsuites?\b/.test(text)) return parseJUnit(text);
+  if (file.endsWith(".tap") || /^TAP version \d+/m.test(text) || /^\s*1\.\.\d+\s*$/m.test(text)) {
+    return parseTap(text);
+  }
+  return null;
+}
+
+/**
+ * Recursively list candidate report files under a directory.
+ * @param {string} dir
+ * @returns {string[]}
+ */
+function listReportFiles(dir) {
+  const out = [];
+  const walk = (d) => {
+    for (const entry of fs.readdirSync(d, { withFileTypes: true })) {
+      if (out.length >= MAX_FILES) return;
+      const full = path.join(d, entry.name);
+      if (entry.isDirectory()) walk(full);
+      else if (/\.(xml|trx|tap)$/i.test(entry.name)) out.push(full);
+    }
+  };
+  walk(dir);
+  return out;
+}
+
+/**
+ * Parse every report under the given local files/directories and
+ * aggregate the failures.
+ *
+ * @param {string[]} paths - Files or directories.
+ * @param {string} [label] - Artifact name to tag reports with.
+ * @returns {{ reports: object[], failures: object[] }}
+ */
+export function parseTestReports(paths, label = null) {
+  const reports = [];
+  const failures = [];
+  for (const p of paths) {
+    const files = fs.statSync(p).isDirectory() ? listReportFiles(p) : [p];
+    for (const file of files) {
+      let parsed;
+      try {
+        parsed = parseTestReportFile(file);
+      } catch {
+        continue;
+      }
+      if (!parsed) continue;
+      const report = label ?? path.basename(p);
+      reports.push({
+        artifact: report,
+        file: path.relative(p, file) || path.basename(file),
+        format: parsed.format,
+        tests: parsed.tests,
+        failures: parsed.failures.length,
+      });
+      for (const f of parsed.failures) {
+        if (failures.length >= MAX_FAILURES) break;
+        failures.push({
+          ...f,
+          message: redact(f.message),
+          details: redact(f.details),
+          report,
+        });
+      }
+    }
+  }
+  return { reports, failures };
+}
+
+/**
+ * Download a run's test-report artifacts and parse them.
+ *
+ * @param {number} runId
+ * @returns {Promise<{ reports: object[], failures: object[] }|string>}
+ *   Parsed reports, or a bracketed note when there is nothing to parse.
+ */
+export async function collectTestReports(runId) {
+  const artifacts = (await listRunArtifacts(runId))
+    .filter((a) => REPORT_ARTIFACT.test(a.name) && !COVERAGE_ARTIFACT.test(a.name) && a.size_in_bytes <= MAX_ARTIFACT_BYTES)
+    .slice(0, MAX_ARTIFACTS);
+  if (artifacts.length === 0) {
+    return "[No test-report artifacts found for this run]";
+  }
+
+  const reports = [];
+  const failures = [];
+  for (const artifact of artifacts) {
+    const dir = cachePath(path.join("artifacts", String(runId), artifact.name));
+    if (!fs.existsSync(dir)) {
+      // Download next to the cache entry and move it into place only when
+      // complete, so a failed download is retried on the next run
+      const partial = `${dir}.partial`;
+      try {
+        fs.rmSync(partial, { recursive: true, force: true });
+        fs.mkdirSync(partial, { recursive: true });
+        await downloadArtifact(runId, artifact.name, partial);
+        fs.renameSync(partial, dir);
+      } catch {
+        fs.rmSync(partial, { recursive: true, force: true });
+        continue;
+      }
+    }
+    const parsed = parseTestReports([dir], artifact.name);
+    reports.push(...parsed.reports);
+    failures.push(...parsed.failures.slice(0, MAX_FAILURES - failures.length));
+  }
+
+  if (reports.length === 0) {
+    return `[Artifacts ${artifacts.map((a) => a.name).join(", ")} contained no JUnit/TRX/TAP reports]`;
+  }
+  return { reports, failures };
+}
@@ -0,0 +1,198 @@
+/**
+ * timeline.js — Annotations, step timeline and how a job ended
+ *
+ * A red run isn't always a code error. Jobs also end because they hit
+ * `timeout-minutes`, because a newer run in the same concurrency group
+ * cancelled them, or because a matrix sibling failed (fail-fast). Those
+ * need very different fixes, so for each job that didn't succeed we
+ * collect:
+ *   - check-run annotations (file, line, message), as shown on the run page
+ *   - the step timeline with durations
+ *   - the `timeout-minutes` that applied, from the workflow YAML
+ * and classify how it ended: "timeout", "cancelled_concurrency",
+ * "cancelled_fail_fast", "cancelled" or "error".
+ */
+
+import { getJobAnnotations } from "./githubActions.js";
+import { listWorkflowJobs, jobMatches } from "./workflows.js";
+import { redact } from "./redact.js";
+
+/** GitHub's default job timeout */
+const DEFAULT_TIMEOUT_MINUTES = 360;
+
+/** A job or step that used this share of its timeout counts as timed out */
+const TIMEOUT_RATIO = 0.95;
+
+const MAX_ANNOTATIONS = 30;
+
+const ANNOTATION_SIGNATURES = {
+  timeout: /exceeded the maximum execution time|has timed out|timed out after/i,
+  cancelled_concurrency: /higher priority waiting request|Canceling since a higher priority/i,
+  cancelled_fail_fast: /strategy configuration was canceled because/i,
+};
+
+/**
+ * Seconds between two ISO timestamps, or null if either is missing.
+ * @param {string} [from]
+ * @param {string} [to]
+ * @returns {number|null}
+ */
+function durationSec(from, to) {
+  if (!from || !to) return null;
+  const ms = new Date(to) - new Date(from);
+  return Number.isFinite(ms) && ms >= 0 ? Math.round(ms / 1000) : null;
+}
+
+/**
+ * Read the `timeout-minutes` settings of a workflow's jobs and steps.
+ *
+ * @param {string} content - Workflow YAML.
+ * @returns {{ id: string, name: string|null, timeoutMinutes: number|null,
+ *   steps: { name: string|null, timeoutMinutes: number }[] }[]}
+ */
+export function readTimeouts(content) {
+  const parsed = listWorkflowJobs(content ?? "");
+  if (!parsed) return [];
+  return parsed.jobs.map((job) => {
+    let timeoutMinutes = null;
+    const steps = [];
+    let stepName = null;
+    let defaultName = null; // what GitHub calls an unnamed step: "Run <command or action>"
+    let stepIndent = null; // indentation of the current step's keys
+    const indentOf = (l) => l.length - l.replace(/^\s*(?:-\s+)?/, "").length;
+    for (const line of parsed.lines.slice(job.start + 1, job.end)) {
+      const item = line.match(/^(\s*)-\s+/);
+      if (item && item[1].length > job.keyIndent.length) {
+        stepName = null;
+        defaultName = null;
+        stepIndent = item[0].length;
+      }
+      const key = line.match(/^\s*(?:-\s+)?(name|run|uses):\s*["']?(.+?)["']?\s*$/);
+      if (key && stepIndent !== null && indentOf(line) === stepIndent) {
+        if (key[1] === "name") stepName = key[2];
+        else if (key[2] !== "|" && key[2] !== ">") defaultName = `Run ${key[2]}`;
+      }
+      const timeout = line.match(/^\s*(?:-\s+)?timeout-minutes:\s*(\d+)/);
+      if (!timeout) continue;
+      if (line.startsWith(`${job.keyIndent}timeout-minutes:`)) {
+        timeoutMinutes = Number(timeout[1]);
+      } else {
+        steps.push({ name: stepName ?? defaultName, timeoutMinutes: Number(timeout[1]) });
+      }
+    }
+    return { id: job.id, name: job.name, timeoutMinutes, steps };
+  });
+}
+
+/**
+ * Classify how one job ended.
+ *
+ * @param {object} job - Job from `getRunJobs()` with `steps`.
+ * @param {object[]} annotations - The job's annotations.
+ * @param {object|null} timeouts - The job's entry from `readTimeouts()`.
+ * @returns {{ kind: string, reason: string }}
+ */
+export function classifyJobEnd(job, annotations, timeouts) {
+  const messages = annotations.map((a) => a.message ?? "");
+  const hit = (kind) => messages.find((m) => ANNOTATION_SIGNATURES[kind].test(m));
+
+  if (job.conclusion === "timed_out" || hit("timeout")) {
+    return { kind: "timeout", reason: hit("timeout") ?? `Job concluded "${job.conclusion}"` };
+  }
+
+  // Ran (almost) to its timeout — the job or one of its steps
+  const limit = timeouts?.timeoutMinutes ?? DEFAULT_TIMEOUT_MINUTES;
+  const jobSec = durationSec(job.startedAt, job.completedAt);
+  if (jobSec !== null && jobSec >= limit * 60 * TIMEOUT_RATIO) {
+    return { kind: "timeout", reason: `Job ran ${Math.round(jobSec / 60)} min of its ${limit} min timeout` };
+  }
+  for (const stepTimeout of timeouts?.steps ?? []) {
+    const step = (job.steps ?? []).find((s) => s.name === stepTimeout.name);
+    const sec = step && durationSec(step.startedAt, step.completedAt);
+    if (sec && sec >= stepTimeout.timeoutMinutes * 60 * TIMEOUT_RATIO) {
+      return {
+        kind: "timeout",
+        reason: `Step "${step.name}" ran ${Math.round(sec / 60)} min of its ${stepTimeout.timeoutMinutes} min timeout`,
+      };
+    }
+  }
+
+  if (hit("cancelled_concurrency")) return { kind: "cancelled_concurrency", reason: hit("cancelled_concurrency") };
+  if (hit("cancelled_fail_fast")) return { kind: "cancelled_fail_fast", reason: hit("cancelled_fail_fast") };
+  if (job.conclusion === "cancelled") return { kind: "cancelled", reason: "Job was cancelled" };
+  return { kind: "error", reason: `Job concluded "${job.conclusion}"` };
+}
+
+/**
+ * Overall classification: a real error wins, then timeouts, then
+ * cancellations. Fail-fast cancellations are a consequence of another
+ * job failing, so they only count when nothing else explains the run.
+ *
+ * @param {string[]} kinds
+ * @returns {string}
+ */
+function overallKind(kinds) {
+  for (const kind of ["error", "timeout", "cancelled_concurrency", "cancelled", "cancelled_fail_fast"]) {
+    if (kinds.includes(kind)) return kind;
+  }
+  return "error";
+}
+
+/**
+ * Collect annotations and the step timeline for the jobs of a run that
+ * didn't succeed, and classify how they ended.
+ *
+ * @param {object[]} jobs - All jobs from `getRunJobs()`.
+ * @param {string|null} workflowContent - Workflow YAML, for `timeout-minutes`.
+ * @returns {Promise<{ annotations: object[], timeline: object }>}
+ *   `annotations` for the annotations evidence, `timeline`:
+ *   { classification, jobs: [{ name, conclusion, kind, reason, durationSec, timeoutMinutes, steps }] }
+ */
+export async function collectJobTimeline(jobs, workflowContent) {
+  const timeouts = readTimeouts(workflowContent);
+  const unsuccessful = jobs.filter((j) => j.conclusion && !["success", "skipped", "neutral"].includes(j.conclusion));
+
+  const annotations = [];
+  const timelineJobs = [];
+  for (const job of unsuccessful) {
+    const jobAnnotations = job.databaseId ? await getJobAnnotations(job.databaseId) : [];
+    const jobTimeouts = timeouts.find((t) => jobMatches(t.id, t.name, [job.name])) ?? null;
+    const end = classifyJobEnd(job, jobAnnotations, jobTimeouts);
+
+    for (const a of jobAnnotations) {
+      if (annotations.length >= MAX_ANNOTATIONS) break;
+      annotations.push({
+        job: job.name,
+        level: a.annotation_level,
+        // Run-level annotations are attached to ".github"
+        path: a.path && a.path !== ".github" ? a.path : null,
+        line: a.start_line || null,
+        title: a.title || null,
+        message: redact(a.message),
+      });
+    }
+
+    timelineJobs.push({
+      name: job.name,
+      conclusion: job.conclusion,
+      kind: end.kind,
+      reason: end.reason,
+      durationSec: durationSec(job.startedAt, job.completedAt),
+      timeoutMinutes: jobTimeouts?.timeoutMinutes ?? DEFAULT_TIMEOUT_MINUTES,
+      steps: (job.steps ?? []).map((s) => ({
+        number: s.number,
+        name: s.name,
+        conclusion: s.conclusion,
+        durationSec: durationSec(s.startedAt, s.completedAt),
+      })),
+    });
+  }
+
+  return {
+    annotations,
+    timeline: {
+      classification: overallKind(timelineJobs.map((j) => j.kind)),
+      jobs: timelineJobs,
+    },
+  };
+}
@@ -0,0 +1,150 @@
+/**
+ * whatChanged.js — "What changed" between the last green run and the failure
+ *
+ * Finds the most recent successful run of the same workflow on the same
+ * branch and uses local git to describe the commit range from its head
+ * SHA to the failing run's head SHA: the commit list, a diffstat and a
+ * size-capped, redacted diff. This gives the model something concrete to
+ * base `what_changed` on.
+ */
+
+import { execa } from "execa";
+import { getLastSuccessfulRun } from "./githubActions.js";
+import { redact } from "./redact.js";
+
+const MAX_COMMITS = 30;
+const MAX_DIFF_LINES = 300;
+const MAX_DIFF_CHARS = 20_000;
+
+/**
+ * Make sure a commit exists locally, fetching it from origin if needed.
+ *
+ * @param {string} sha
+ * @returns {Promise<boolean>}
+ */
+async function ensureCommit(sha) {
+  try {
+    await execa("git", ["cat-file", "-e", `${sha}^{commit}`]);
+    return true;
+  } catch {
+    try {
+      await execa("git", ["fetch", "--quiet", "--no-tags", "origin", sha], { timeout: 60_000 });
+      await execa("git", ["cat-file", "-e", `${sha}^{commit}`]);
+      return true;
+    } catch {
+      return false;
+    }
+  }
+}
+
+/**
+ * Cap a diff by line count and size.
+ *
+ * @param {string} diff
+ * @returns {{ text: string, truncated: boolean }}
+ */
+function capDiff(diff) {
+  let lines = diff.split("\n");
+  let truncated = false;
+  if (lines.length > MAX_DIFF_LINES) {
+    lines = lines.slice(0, MAX_DIFF_LINES);
+    truncated = true;
+  }
+  let text = lines.join("\n");
+  if (text.length > MAX_DIFF_CHARS) {
+    text = text.slice(0, MAX_DIFF_CHARS);
+    truncated = true;
+  }
+  return { text: truncated ? `${text}\n[… diff truncated …]` : text, truncated };
+}
+
+/**
+ * Describe the commit range between two SHAs with local git.
+ *
+ * @param {string} baseSha - Last green commit.
+ * @param {string} headSha - Failing commit.
+ * @returns {Promise<object>} { commits, diffStat, diff, truncated }
+ */
+export async function describeCommitRange(baseSha, headSha) {
+  const range = `${baseSha}..${headSha}`;
+  const { stdout: log } = await execa("git", [
+    "log", "--no-merges", `--max-count=${MAX_COMMITS}`,
+    "--format=%h%x09%an%x09%s", range,
+  ]);
+  const commits = log.split("\n").filter(Boolean).map((line) => {
+    const [sha, author, ...subject] = line.split("\t");
+    return { sha, author, subject: subject.join("\t") };
+  });
+
+  const { stdout: diffStat } = await execa("git", ["diff", "--stat", baseSha, headSha]);
+  const { stdout: diff } = await execa("git", ["diff", "--unified=3", baseSha, headSha]);
+  const capped = capDiff(diff);
+
+  return {
+    commits,
+    diffStat: redact(diffStat),
+    diff: redact(capped.text),
+    truncated: capped.truncated,
+  };
+}
+
+/**
+ * Collect "what changed" evidence for a failed run.
+ *
+ * @param {object} failedRun - Run metadata (needs headSha, headBranch, createdAt).
+ * @param {string|null} workflowPath - Used to filter runs of the same workflow.
+ * @returns {Promise<object|string>} Evidence data, or a bracketed note when unavailable.
+ */
+export async function collectWhatChanged(failedRun, workflowPath) {
+  if (!failedRun.headSha || !failedRun.headBranch) {
+    return "[Run has no head commit/branch — cannot compute what changed]";
+  }
+
+  const workflow = workflowPath ? workflowPath.split("/").pop() : failedRun.workflowName;
+  const lastGreen = await getLastSuccessfulRun({
+    workflow,
+    branch: failedRun.headBranch,
+    before: failedRun.createdAt,
+  });
+  if (!lastGreen) {
+    return `[No earlier successful run of this workflow on branch "${failedRun.headBranch}"]`;
+  }
+
+  const lastSuccess = {
+    runId: lastGreen.databaseId,
+    headSha: lastGreen.headSha,
+    createdAt: lastGreen.createdAt,
+    url: lastGreen.url,
+  };
+
+  if (lastGreen.headSha === failedRun.headSha) {
+    return {
+      lastSuccess,
+      failingSha: failedRun.headSha,
+      note: "Same commit passed before — the failure is not caused by a code change.",
+      commits: [],
+    };
+  }
+
+  const haveBoth = (await ensureCommit(lastGreen.headSha)) && (await ensureCommit(failedRun.headSha));
+  if (!haveBoth) {
+    return {
+      lastSuccess,
+      failingSha: failedRun.headSha,
+      note: "Commits are not available locally — run `git fetch` to include the diff.",
+      commits: [],
+    };
+  }
+
+  try {
+    const range = await describeCommitRange(lastGreen.headSha, failedRun.headSha);
+    return { lastSuccess, failingSha: failedRun.headSha, ...range };
+  } catch (err) {
+    return {
+      lastSuccess,
+      failingSha: failedRun.headSha,
+      note: `Could not compute diff: ${redact(err.shortMessage || err.message)}`,
+      commits: [],
+    };
+  }
+}
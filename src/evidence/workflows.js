@@ -0,0 +1,235 @@
+/**
+ * workflows.js — Resolve the workflow file behind a run and what it calls
+ *
+ * The run's workflow path comes from the GitHub API, so we send the exact
+ * file that ran instead of guessing by name. From there we follow local
+ * references so the model can see the step that actually failed even
+ * when it lives somewhere else:
+ *   - `uses: ./.github/workflows/x.yml`  → reusable workflow
+ *   - `uses: ./path/to/action`           → composite/local action (action.yml)
+ */
+
+import fs from "node:fs";
+import path from "node:path";
+
+/** Stop following references after this many files */
+const MAX_DEPENDENCIES = 10;
+
+const LOCAL_USES = /^\s*(?:-\s+)?uses:\s*["']?(\.\/[^\s"'#]+)/gm;
+
+/**
+ * Resolve a repo-relative path inside the working tree.
+ * Returns null for paths that escape the repository.
+ *
+ * @param {string} relPath
+ * @returns {string|null} Absolute path.
+ */
+function insideRepo(relPath) {
+  const root = process.cwd();
+  const abs = path.resolve(root, relPath);
+  const rel = path.relative(root, abs);
+  if (rel.startsWith("..") || path.isAbsolute(rel)) return null;
+  return abs;
+}
+
+/**
+ * Normalize an absolute path to a forward-slash repo-relative path.
+ * @param {string} abs
+ * @returns {string}
+ */
+function toRepoPath(abs) {
+  return path.relative(process.cwd(), abs).split(path.sep).join("/");
+}
+
+/**
+ * Read the top-level `name:` of a workflow file.
+ * @param {string} content
+ * @returns {string|null}
+ */
+export function workflowDisplayName(content) {
+  const match = content.match(/^name:\s*(.+?)\s*$/m);
+  return match ? match[1].replace(/^["']|["']$/g, "") : null;
+}
+
+/**
+ * Locate the workflow file for a run.
+ *
+ * Uses the API-reported path when we have it; otherwise looks for a
+ * workflow whose top-level `name:` equals the run's workflow name.
+ *
+ * @param {string|null} workflowPath - e.g. ".github/workflows/ci.yml"
+ * @param {string} workflowName - Display name from the run.
+ * @returns {{ path: string, content: string }|null}
+ */
+export function resolveWorkflowFile(workflowPath, workflowName) {
+  if (workflowPath) {
+    const abs = insideRepo(workflowPath);
+    if (abs && fs.existsSync(abs)) {
+      return { path: toRepoPath(abs), content: fs.readFileSync(abs, "utf-8") };
+    }
+  }
+
+  const workflowsDir = path.join(process.cwd(), ".github", "workflows");
+  if (!fs.existsSync(workflowsDir)) return null;
+  const files = fs.readdirSync(workflowsDir).filter((f) =>
+    f.endsWith(".yml") || f.endsWith(".yaml")
+  );
+  for (const file of files) {
+    const abs = path.join(workflowsDir, file);
+    const content = fs.readFileSync(abs, "utf-8");
+    if (workflowDisplayName(content) === workflowName) {
+      return { path: toRepoPath(abs), content };
+    }
+  }
+  return null;
+}
+
+/**
+ * Resolve a local `uses: ./…` reference to a file.
+ *
+ * @param {string} ref - e.g. "./.github/workflows/build.yml" or "./.github/actions/setup"
+ * @returns {{ kind: "reusable_workflow"|"local_action", abs: string }|null}
+ */
+function resolveLocalUses(ref) {
+  const abs = insideRepo(ref);
+  if (!abs) return null;
+  if (/\.ya?ml$/.test(ref)) {
+    return fs.existsSync(abs) ? { kind: "reusable_workflow", abs } : null;
+  }
+  for (const name of ["action.yml", "action.yaml"]) {
+    const file = path.join(abs, name);
+    if (fs.existsSync(file)) return { kind: "local_action", abs: file };
+  }
+  return null;
+}
+
+/**
+ * Follow `uses: ./…` references from a workflow, breadth-first,
+ * into reusable workflows and local/composite actions (which may
+ * themselves reference further local actions).
+ *
+ * @param {{ path: string, content: string }} workflow - The root workflow.
+ * @returns {{ kind: string, path: string, usedBy: string, content: string }[]}
+ */
+export function collectWorkflowDependencies(workflow) {
+  const found = [];
+  const seen = new Set([workflow.path]);
+  const queue = [workflow];
+
+  while (queue.length > 0 && found.length < MAX_DEPENDENCIES) {
+    const parent = queue.shift();
+    for (const match of parent.content.matchAll(LOCAL_USES)) {
+      const resolved = resolveLocalUses(match[1]);
+      if (!resolved) continue;
+      const repoPath = toRepoPath(resolved.abs);
+      if (seen.has(repoPath)) continue;
+      seen.add(repoPath);
+
+      const dep = {
+        kind: resolved.kind,
+        path: repoPath,
+        usedBy: parent.path,
+        content: fs.readFileSync(resolved.abs, "utf-8"),
+      };
+      found.push(dep);
+      queue.push(dep);
+      if (found.length >= MAX_DEPENDENCIES) break;
+    }
+  }
+
+  return found;
+}
+
+/**
+ * Does a workflow job match one of the job names reported by the API?
+ * Matrix jobs are reported as "test (18, ubuntu-latest)", and a job's
+ * `name:` may itself contain `${{ … }}` expressions.
+ *
+ * @param {string} id - Job key under `jobs:`.
+ * @param {string|null} name - The job's `name:`, if any.
+ * @param {string[]} jobNames
+ * @returns {boolean}
+ */
+export function jobMatches(id, name, jobNames) {
+  return jobNames.some((jobName) => {
+    const base = jobName.replace(/\s*\(.*\)\s*$/, "").trim();
+    if (base === id || jobName === id) return true;
+    if (!name) return false;
+    if (name === jobName || name === base) return true;
+    const prefix = name.split("${{")[0].trim();
+    return prefix.length > 0 && name.includes("${{") && jobName.startsWith(prefix);
+  });
+}
+
+/**
+ * Split the `jobs:` mapping of a workflow into one block per job.
+ * Line-based, so it works on any formatting the YAML allows for
+ * block mappings (flow-style `jobs: {…}` is not supported).
+ *
+ * @param {string} content - Workflow YAML.
+ * @returns {{ lines: string[], jobsAt: number, end: number, indent: string,
+ *   jobs: { id: string, name: string|null, start: number, end: number, keyIndent: string }[] }|null}
+ *   Line indexes are 0-based; each job spans [start, end). null when the
+ *   workflow has no `jobs:` block.
+ */
+export function listWorkflowJobs(content) {
+  const lines = content.split("\n");
+  const jobsAt = lines.findIndex((l) => /^jobs:\s*(#.*)?$/.test(l));
+  if (jobsAt === -1) return null;
+
+  let end = lines.length;
+  for (let i = jobsAt + 1; i < lines.length; i++) {
+    if (/^\S/.test(lines[i]) && !lines[i].startsWith("#")) {
+      end = i;
+      break;
+    }
+  }
+  const indent = lines.slice(jobsAt + 1, end).find((l) => /^\s+[\w-]+:/.test(l))?.match(/^\s+/)[0];
+  if (!indent) return null;
+
+  const jobs = [];
+  for (let i = jobsAt + 1; i < end; i++) {
+    const key = lines[i].match(new RegExp(`^${indent}([\\w-]+):`));
+    if (!key) continue;
+    if (jobs.length > 0) jobs[jobs.length - 1].end = i;
+    jobs.push({ id: key[1], name: null, start: i, end });
+  }
+
+  for (const job of jobs) {
+    // Job-level keys share the indentation of the first key in the block
+    const body = lines.slice(job.start + 1, job.end);
+    job.keyIndent = body.find((l) => /^\s+[\w-]+:/.test(l))?.match(/^\s+/)[0] ?? `${indent}  `;
+    const nameRe = new RegExp(`^${job.keyIndent}name:\\s*["']?(.+?)["']?\\s*$`);
+    const nameLine = body.find((l) => nameRe.test(l));
+    job.name = nameLine ? nameLine.match(nameRe)[1] : null;
+  }
+  return { lines, jobsAt, end, indent, jobs };
+}
+
+/**
+ * Trim a workflow to the jobs that failed, keeping everything outside
+ * `jobs:` (triggers, env, permissions, …). Line-based, so comments and
+ * formatting survive. Returns the content unchanged when no job matches.
+ *
+ * @param {string} content - Workflow YAML.
+ * @param {string[]} jobNames - Failed job names (API display names).
+ * @returns {{ content: string, omitted: string[] }} Trimmed YAML and the
+ *   IDs of the jobs that were left out.
+ */
+export function trimWorkflowToJobs(content, jobNames) {
+  const parsed = listWorkflowJobs(content);
+  if (!parsed) return { content, omitted: [] };
+  const { lines, jobsAt, end, indent, jobs } = parsed;
+
+  const kept = jobs.filter((j) => jobMatches(j.id, j.name, jobNames));
+  const omitted = jobs.filter((j) => !kept.includes(j));
+  if (kept.length === 0 || omitted.length === 0) return { content, omitted: [] };
+
+  const out = [
+    ...lines.slice(0, jobsAt + 1),
+    ...kept.flatMap((j) => lines.slice(j.start, j.end)),
+    `${indent}# … ${omitted.length} job(s) that did not fail omitted: ${omitted.map((j) => j.id).join(", ")}`,
+    ...lines.slice(end),
+  ];
+  return { content: out.join("\n"), omitted: omitted.map((j) => j.id) };
+}
@@ -1,31 +1,167 @@
 /**
  * loadPrompt.js — Load and render prompt templates
  *
- * Reads prompt files from the prompts/ directory and replaces
- * the {{EVIDENCE_BUNDLE_JSON}} placeholder with the actual evidence.
+ * Templates are looked up on a search path: the working repo's
+ * `.copilot-ci-doctor/prompts/` first, then the packaged prompts/
+ * directory, so a team can override any mode without forking. Modes
+ * with a patch have a `.v2.txt` variant asking for structured edits
+ * (CI_DOCTOR_RESPONSE_V2), used when the backend supports it.
+ *
+ * Placeholders:
+ *   {{EVIDENCE_BUNDLE_JSON}} / {{EVIDENCE_BUNDLE}} — the evidence, fitted
+ *     into the configured token budget first (see evidence/budget.js)
+ *   {{PROJECT_CONTEXT}} — the repo's context file (`projectContext`,
+ *     default `.copilot-ci-doctor/context.md`), as captured in the bundle
+ *     when it was built: redacted in the same pass as the evidence, so
+ *     placeholders like `<host-1>` mean the same thing in both
+ *
+ * Every rendered prompt carries a `source` record (template file, context
+ * file, version hash) so a result can be traced to the exact inputs.
  */
 
 import fs from "node:fs";
 import path from "node:path";
-import { PROMPTS_DIR } from "../utils/paths.js";
+import crypto from "node:crypto";
+import { PROMPTS_DIR, PROJECT_ROOT } from "../utils/paths.js";
+import { loadConfig } from "../utils/config.js";
+import { supportsStructuredEdits } from "../copilot/providers/index.js";
+import { budgetBundle, bundleBudget } from "../evidence/budget.js";
+import { estimateTokens } from "../utils/tokens.js";
+
+/** Repo-local template overrides, relative to the working repo */
+export const LOCAL_PROMPTS_DIR = path.join(".copilot-ci-doctor", "prompts");
+
+/** Stands in for {{PROJECT_CONTEXT}} when the repo has no context file */
+const NO_PROJECT_CONTEXT = "(none provided)";
 
 /**
- * Load a prompt template and inject the evidence bundle.
+ * Template file for a mode. Searched in order: the repo's
+ * `.copilot-ci-doctor/prompts/`, then the packaged prompts/; within
+ * each, `<mode>.v2.txt` (structured edits, CI_DOCTOR_RESPONSE_V2) when
+ * the configured backend supports it, then `<mode>.txt`.
  *
- * @param {"hypotheses"|"explain"|"patch"} mode
- * @param {object} evidenceBundle
- * @returns {string} Fully-rendered prompt string.
+ * @param {string} mode
+ * @returns {{ file: string, origin: "repo"|"package" }}
  */
-export function loadPrompt(mode, evidenceBundle) {
-  const promptFile = path.join(PROMPTS_DIR, `${mode}.txt`);
-  if (!fs.existsSync(promptFile)) {
-    throw new Error(`Prompt template not found: ${promptFile}`);
+export function templateFile(mode) {
+  const names = supportsStructuredEdits() ? [`${mode}.v2.txt`, `${mode}.txt`] : [`${mode}.txt`];
+  const dirs = [
+    { dir: path.join(process.cwd(), LOCAL_PROMPTS_DIR), origin: "repo" },
+    { dir: PROMPTS_DIR, origin: "package" },
+  ];
+  for (const { dir, origin } of dirs) {
+    for (const name of names) {
+      const file = path.join(dir, name);
+      if (fs.existsSync(file)) return { file, origin };
+    }
+  }
+  return { file: path.join(PROMPTS_DIR, `${mode}.txt`), origin: "package" };
+}
+
+/**
+ * Read the raw prompt template for a mode.
+ *
+ * @param {string} mode
+ * @returns {string}
+ */
+export function readTemplate(mode) {
+  const { file } = templateFile(mode);
+  if (!fs.existsSync(file)) {
+    throw new Error(`Prompt template not found: ${file}`);
   }
+  return fs.readFileSync(file, "utf-8");
+}
 
-  const template = fs.readFileSync(promptFile, "utf-8");
+/**
+ * Read the project context file (unredacted — the bundle builder
+ * redacts it together with the evidence).
+ *
+ * @returns {{ file: string, text: string }|null} `file` relative to the
+ *   repo; null when `projectContext` is off or the file doesn't exist
+ *   (or is empty).
+ */
+export function readProjectContext() {
+  const { projectContext } = loadConfig();
+  if (!projectContext) return null;
+  const file = path.resolve(process.cwd(), projectContext);
+  if (!fs.existsSync(file)) return null;
+  const text = fs.readFileSync(file, "utf-8").trim();
+  return text ? { file: path.relative(process.cwd(), file), text } : null;
+}
+
+/**
+ * Resolve a mode's template with the bundle's project context filled in.
+ *
+ * @param {string} mode
+ * @param {object} evidenceBundle - Its `projectContext` fills the placeholder.
+ * @returns {{ template: string, source: { template: string, origin: "repo"|"package", context: string|null, version: string } }}
+ *   `source` names the files used (relative to the repo, or to the
+ *   package for packaged templates) and `version` is the first 12 hex
+ *   digits of the SHA-256 of the filled-in template, so an edit to
+ *   either file counts as a new version.
+ */
+function resolveTemplate(mode, evidenceBundle) {
+  const { file, origin } = templateFile(mode);
+  const raw = readTemplate(mode);
+  const context = evidenceBundle.projectContext ?? null;
+  const template = raw.replace("{{PROJECT_CONTEXT}}", () => context?.text ?? NO_PROJECT_CONTEXT);
+  return {
+    template,
+    source: {
+      template: path.relative(origin === "repo" ? process.cwd() : PROJECT_ROOT, file),
+      origin,
+      // a template without the placeholder doesn't use the context
+      context: context && raw.includes("{{PROJECT_CONTEXT}}") ? context.file : null,
+      version: crypto.createHash("sha256").update(template).digest("hex").slice(0, 12),
+    },
+  };
+}
+
+/**
+ * Hash of a rendered prompt with the bundle's build timestamp left out,
+ * so rebuilding the same evidence gives the same hash.
+ *
+ * @param {string} prompt
+ * @returns {string} Hex SHA-256.
+ */
+export function promptHash(prompt) {
+  const stable = prompt.replace(/^\s*"timestamp": ".*",?$/gm, "");
+  return crypto.createHash("sha256").update(stable).digest("hex");
+}
+
+/**
+ * Render a prompt and report how the bundle was fitted into the budget
+ * and which template and context it came from.
+ *
+ * @param {"hypotheses"|"explain"|"patch"|"combined"} mode
+ * @param {object} evidenceBundle
+ * @param {object} [opts]
+ * @param {number} [opts.maxTokens] - Prompt budget (default: from config).
+ * @returns {{ text: string, tokens: number, budget: object|null, source: object }}
+ *   `budget` describes what was truncated, or is null if nothing was;
+ *   `source` names the template and context used (see resolveTemplate()).
+ */
+export function renderPrompt(mode, evidenceBundle, { maxTokens = loadConfig().maxTokens } = {}) {
+  const { template, source } = resolveTemplate(mode, evidenceBundle);
+  // the context goes into its own placeholder, not the evidence JSON
+  const { projectContext, ...evidenceOnly } = evidenceBundle;
+  const bundle = budgetBundle(evidenceOnly, bundleBudget(template, maxTokens));
+  const json = JSON.stringify(bundle, null, 2);
 
   // Support both placeholder conventions
-  return template
-    .replace("{{EVIDENCE_BUNDLE_JSON}}", JSON.stringify(evidenceBundle, null, 2))
-    .replace("{{EVIDENCE_BUNDLE}}", JSON.stringify(evidenceBundle, null, 2));
+  const text = template
+    .replace("{{EVIDENCE_BUNDLE_JSON}}", () => json)
+    .replace("{{EVIDENCE_BUNDLE}}", () => json);
+  return { text, tokens: estimateTokens(text), budget: bundle.budget ?? null, source };
+}
+
+/**
+ * Load a prompt template and inject the evidence bundle.
+ *
+ * @param {"hypotheses"|"explain"|"patch"|"combined"} mode
+ * @param {object} evidenceBundle
+ * @returns {string} Fully-rendered prompt string.
+ */
+export function loadPrompt(mode, evidenceBundle) {
+  return renderPrompt(mode, evidenceBundle).text;
 }
@@ -0,0 +1,175 @@
+/**
+ * config.js — Project configuration
+ *
+ * Settings come from three layers, later ones winning:
+ *   1. built-in defaults
+ *   2. `.copilot-ci-doctor/config.json` in the working repo
+ *   3. command-line flags (set once by the CLI via `setConfigOverrides()`)
+ *
+ * Example config.json:
+ *
+ *   {
+ *     "maxTokens": 12000,
+ *     "repairAttempts": 1,
+ *     "samples": 3,
+ *     "responseCacheTtlHours": 4,
+ *     "confirmSend": true,
+ *     "scrubPii": true,
+ *     "pii": { "ips": false, "internalDomains": ["corp.example.com"] },
+ *     "provider": "openai",
+ *     "providers": { "openai": { "baseUrl": "http://localhost:11434/v1", "model": "llama3.1" } },
+ *     "redaction": {
+ *       "patterns": [{ "name": "acme_token", "pattern": "acme_[A-Za-z0-9]{32}" }],
+ *       "allowlist": ["EXAMPLE[A-Z0-9]+"],
+ *       "entropy": true
+ *     }
+ *   }
+ */
+
+import fs from "node:fs";
+import path from "node:path";
+
+/** Config file location, relative to the working repo */
+export const CONFIG_FILE = path.join(".copilot-ci-doctor", "config.json");
+
+const DEFAULTS = {
+  /** Token budget for the rendered prompt (template + evidence bundle) */
+  maxTokens: 20_000,
+  /** Extra secret patterns, an allowlist and entropy detection (see evidence/redact.js) */
+  redaction: { patterns: [], allowlist: [], entropy: true },
+  /** Show each prompt and ask before sending it to Copilot */
+  confirmSend: false,
+  /** Replace PII and infrastructure details with placeholders (see evidence/pii.js) */
+  scrubPii: false,
+  /** Which PII categories `scrubPii` covers, and the domains that count as internal hosts */
+  pii: { emails: true, ips: true, homePaths: true, urlSignatures: true, internalDomains: [] },
+  /** Reasoning backend: "copilot", "openai" or "command" (see copilot/providers/) */
+  provider: "copilot",
+  /** Per-provider settings, e.g. { "openai": { "baseUrl": "…", "model": "…" } } */
+  providers: {},
+  /** Record or replay model calls: { "mode": "record"|"replay", "dir": "…" } (see copilot/cassette.js) */
+  cassette: null,
+  /** Re-prompts after an invalid response that local JSON repair couldn't fix (see copilot/repair.js) */
+  repairAttempts: 2,
+  /** Reuse validated responses for unchanged prompts (see copilot/responseCache.js) */
+  responseCache: true,
+  /** How long a cached response stays valid */
+  responseCacheTtlHours: 24,
+  /** Samples per question; more than 1 merges them by consensus (see copilot/ensemble.js) */
+  samples: 1,
+  /** Give each sample a slightly different nudge so they don't all repeat one answer */
+  varySamplePrompts: true,
+  /** Notes for the model filled into {{PROJECT_CONTEXT}} (see prompts/loadPrompt.js); null turns it off */
+  projectContext: path.join(".copilot-ci-doctor", "context.md"),
+};
+
+const overrides = {};
+let fileConfig = null;
+
+/**
+ * Read and parse the project config file (once per process).
+ * @returns {object}
+ */
+function readConfigFile() {
+  if (fileConfig) return fileConfig;
+  const file = path.join(process.cwd(), CONFIG_FILE);
+  if (!fs.existsSync(file)) {
+    fileConfig = {};
+    return fileConfig;
+  }
+  try {
+    fileConfig = JSON.parse(fs.readFileSync(file, "utf-8"));
+  } catch (err) {
+    throw new Error(`Could not parse ${CONFIG_FILE}: ${err.message}`);
+  }
+  return fileConfig;
+}
+
+/**
+ * Apply command-line overrides. Undefined values are ignored so flags
+ * that weren't passed don't mask the config file.
+ *
+ * @param {object} values
+ */
+export function setConfigOverrides(values) {
+  for (const [key, value] of Object.entries(values)) {
+    if (value !== undefined) overrides[key] = value;
+  }
+}
+
+/**
+ * Validate the `redaction` settings and compile their regular expressions.
+ *
+ * @param {object} redaction
+ * @returns {{ patterns: { name: string, pattern: string, regex: RegExp }[], allowlist: RegExp[], entropy: boolean }}
+ */
+function normalizeRedaction(redaction) {
+  const compile = (source, flags, what) => {
+    try {
+      return new RegExp(source, flags);
+    } catch (err) {
+      throw new Error(`redaction.${what} has an invalid regular expression "${source}": ${err.message}`);
+    }
+  };
+  if (!Array.isArray(redaction.patterns) || !Array.isArray(redaction.allowlist)) {
+    throw new Error("redaction.patterns and redaction.allowlist must be arrays.");
+  }
+
+  const patterns = redaction.patterns.map((p, i) => {
+    if (!p || typeof p.pattern !== "string" || !/^[\w-]+$/.test(p.name ?? "")) {
+      throw new Error(`redaction.patterns[${i}] needs a "name" (letters, digits, _ or -) and a "pattern" string.`);
+    }
+    const flags = (p.flags ?? "").includes("g") ? p.flags : `${p.flags ?? ""}g`;
+    return { name: p.name, pattern: p.pattern, regex: compile(p.pattern, flags, `patterns[${i}]`) };
+  });
+  const allowlist = redaction.allowlist.map((a, i) => compile(String(a), "", `allowlist[${i}]`));
+
+  return { patterns, allowlist, entropy: redaction.entropy !== false };
+}
+
+/**
+ * Get the effective configuration.
+ *
+ * @returns {object} Defaults merged with config.json and CLI overrides.
+ */
+export function loadConfig() {
+  const config = { ...DEFAULTS, ...readConfigFile(), ...overrides };
+
+  const maxTokens = Number(config.maxTokens);
+  if (!Number.isInteger(maxTokens) || maxTokens <= 0) {
+    throw new Error(`maxTokens must be a positive integer (got "${config.maxTokens}").`);
+  }
+  config.maxTokens = maxTokens;
+  const repairAttempts = Number(config.repairAttempts);
+  if (!Number.isInteger(repairAttempts) || repairAttempts < 0) {
+    throw new Error(`repairAttempts must be a non-negative integer (got "${config.repairAttempts}").`);
+  }
+  config.repairAttempts = repairAttempts;
+  const samples = Number(config.samples);
+  if (!Number.isInteger(samples) || samples < 1) {
+    throw new Error(`samples must be a positive integer (got "${config.samples}").`);
+  }
+  config.samples = samples;
+  config.varySamplePrompts = config.varySamplePrompts !== false;
+  config.responseCache = config.responseCache !== false;
+  const ttl = Number(config.responseCacheTtlHours);
+  if (!Number.isFinite(ttl) || ttl < 0) {
+    throw new Error(`responseCacheTtlHours must be a non-negative number (got "${config.responseCacheTtlHours}").`);
+  }
+  config.responseCacheTtlHours = ttl;
+  if (config.projectContext !== null && config.projectContext !== false && typeof config.projectContext !== "string") {
+    throw new Error(`projectContext must be a file path or null (got ${JSON.stringify(config.projectContext)}).`);
+  }
+  config.confirmSend = config.confirmSend === true;
+  config.redaction = normalizeRedaction({ ...DEFAULTS.redaction, ...config.redaction });
+  if (config.cassette && (!["record", "replay"].includes(config.cassette.mode) || typeof config.cassette.dir !== "string")) {
+    throw new Error('cassette must be { "mode": "record" or "replay", "dir": "<directory>" }.');
+  }
+  config.scrubPii = config.scrubPii === true;
+  config.pii = { ...DEFAULTS.pii, ...config.pii };
+  if (!Array.isArray(config.pii.internalDomains) || !config.pii.internalDomains.every((d) => typeof d === "string")) {
+    throw new Error("pii.internalDomains must be an array of domain names.");
+  }
+
+  return config;
+}
@@ -5,6 +5,7 @@
  */
 
 import chalk from "chalk";
+import readline from "node:readline";
 
 /**
  * Print a section header.
@@ -58,6 +59,26 @@ export function fail(label, message) {
   process.exit(1);
 }
 
+/**
+ * Prompt the user for a yes/no confirmation via stdin. Answers "no" when
+ * stdin closes without an answer (e.g. not a terminal).
+ * @param {string} question
+ * @returns {Promise<boolean>}
+ */
+export function confirm(question) {
+  const rl = readline.createInterface({
+    input: process.stdin,
+    output: process.stdout,
+  });
+  return new Promise((resolve) => {
+    rl.on("close", () => resolve(false));
+    rl.question(`${question} (y/N) `, (answer) => {
+      resolve(answer.trim().toLowerCase() === "y");
+      rl.close();
+    });
+  });
+}
+
 /**
  * Return a chalk color function based on confidence level.
  * @param {number} confidence
@@ -69,6 +90,206 @@ export function confidenceColor(confidence) {
   return chalk.red;
 }
 
+/**
+ * Format a confidence next to its grounding-adjusted value:
+ * "52%  (model 80%, grounding 65%)". Shows the plain value when
+ * grounding didn't lower it.
+ * @param {number} confidence - Model's self-reported confidence.
+ * @param {number|null} [adjusted] - Effective confidence (see copilot/grounding.js).
+ * @param {number} [score] - Grounding score.
+ * @returns {string}
+ */
+export function formatConfidence(confidence, adjusted, score) {
+  if (typeof adjusted !== "number" || adjusted === confidence) {
+    return confidenceColor(confidence)(`${confidence}%`);
+  }
+  return `${confidenceColor(adjusted)(`${adjusted}%`)} ${chalk.dim(`(model ${confidence}%, grounding ${score}%)`)}`;
+}
+
+/**
+ * Describe how many ensemble samples agreed ("2 of 3 samples agree"),
+ * or "" for a single-sample response.
+ * @param {number|undefined} agreement - Percentage (see copilot/ensemble.js).
+ * @param {{ samples: number }|undefined} ensemble
+ * @returns {string}
+ */
+export function formatAgreement(agreement, ensemble) {
+  if (!ensemble || typeof agreement !== "number") return "";
+  const count = Math.round((agreement / 100) * ensemble.samples);
+  return chalk.dim(`${count} of ${ensemble.samples} samples agree`);
+}
+
+/**
+ * Warn when some ensemble samples failed (they count against agreement
+ * and confidence).
+ * @param {{ samples: number, valid: number }|undefined} ensemble
+ */
+export function printFailedSamples(ensemble) {
+  if (!ensemble || ensemble.valid >= ensemble.samples) return;
+  const failed = ensemble.samples - ensemble.valid;
+  console.log(chalk.yellow(
+    `  ⚠ ${failed} of ${ensemble.samples} samples failed — they count as disagreeing, so confidence is lowered.`
+  ));
+}
+
+/**
+ * Print what the grounding check couldn't find in the evidence or repo.
+ * @param {object} grounding - { score, checks, problems }
+ * @param {number} [maxProblems]
+ */
+export function printGrounding(grounding, maxProblems = 5) {
+  if (!grounding || grounding.problems.length === 0) return;
+  console.log(chalk.yellow(`  ⚠ Grounding ${grounding.score}% — ${grounding.problems.length} of ${grounding.checks} check(s) failed:`));
+  for (const problem of grounding.problems.slice(0, maxProblems)) {
+    console.log(chalk.dim(`    • ${problem}`));
+  }
+  if (grounding.problems.length > maxProblems) {
+    console.log(chalk.dim(`    … ${grounding.problems.length - maxProblems} more`));
+  }
+  console.log("");
+}
+
+/**
+ * Print the flakiness classification of a failure (from the `flakiness`
+ * evidence entry) with the signals behind it.
+ * @param {object} flakiness - { classification, score, signals }
+ */
+export function printFlakiness(flakiness) {
+  if (!flakiness) return;
+  const labels = {
+    deterministic: chalk.red("deterministic"),
+    likely_flaky: chalk.yellow("likely flaky"),
+    infrastructure: chalk.magenta("infrastructure"),
+  };
+  const label = labels[flakiness.classification] ?? flakiness.classification;
+  console.log(`${chalk.bold("Failure type:")} ${label} ${chalk.dim(`(${flakiness.score}%)`)}`);
+  for (const signal of flakiness.signals ?? []) {
+    console.log(chalk.dim(`  • ${signal.reason}`));
+  }
+  console.log("");
+}
+
+/**
+ * Print how the failed jobs ended (from the `step_timeline` evidence
+ * entry) when it wasn't a plain error — timeouts and cancellations need
+ * a different fix than code errors.
+ * @param {object|string} timeline - { classification, jobs } or a note.
+ */
+export function printJobEnd(timeline) {
+  if (!timeline || typeof timeline !== "object" || timeline.classification === "error") return;
+  const labels = {
+    timeout: chalk.magenta("timeout"),
+    cancelled_concurrency: chalk.yellow("cancelled by a newer run (concurrency)"),
+    cancelled_fail_fast: chalk.yellow("cancelled by matrix fail-fast"),
+    cancelled: chalk.yellow("cancelled"),
+  };
+  console.log(`${chalk.bold("Job outcome:")} ${labels[timeline.classification] ?? timeline.classification}`);
+  for (const job of timeline.jobs.filter((j) => j.kind !== "error")) {
+    console.log(chalk.dim(`  • ${job.name}: ${job.reason}`));
+  }
+  console.log("");
+}
+
+/**
+ * Print which matrix dimensions separate failing variants from passing
+ * ones (from the `matrix_analysis` evidence entry).
+ * @param {object[]|string} matrix - Per-job analyses or a note.
+ */
+export function printMatrix(matrix) {
+  if (!Array.isArray(matrix)) return;
+  for (const m of matrix) {
+    const failed = m.variants.filter((v) => v.conclusion !== "success");
+    console.log(`${chalk.bold(`Matrix ${m.job}:`)} ${m.summary}`);
+    for (const v of failed) {
+      console.log(chalk.dim(`  • ${v.name}: ${v.conclusion}`));
+    }
+  }
+  console.log("");
+}
+
+/**
+ * Print how the runner environment changed since the last green run
+ * (from the `environment` evidence entry). Silent when nothing changed.
+ * @param {object|string} environment - { baselineRunId, jobs } or a note.
+ */
+export function printEnvironment(environment) {
+  if (!environment || typeof environment !== "object") return;
+  const changed = environment.jobs.filter((j) => j.changes?.length > 0);
+  if (changed.length === 0) return;
+  console.log(chalk.bold(`Runner environment changed since run #${environment.baselineRunId}:`));
+  for (const job of changed) {
+    for (const c of job.changes) {
+      console.log(chalk.dim(`  • ${job.job} › ${c.field}: ${c.before ?? "—"} → ${c.after ?? "—"}`));
+    }
+  }
+  console.log("");
+}
+
+/**
+ * Print failing tests parsed from test-report artifacts (from the
+ * `test_failures` evidence entry).
+ * @param {object|string} testFailures - { reports, failures } or a note.
+ * @param {number} [maxTests=5]
+ */
+export function printTestFailures(testFailures, maxTests = 5) {
+  if (!testFailures || typeof testFailures !== "object" || testFailures.failures.length === 0) return;
+  const { failures } = testFailures;
+  console.log(chalk.bold(`Failing tests (${failures.length}):`));
+  for (const f of failures.slice(0, maxTests)) {
+    const name = f.suite ? `${f.suite} › ${f.name}` : f.name;
+    const where = f.file ? chalk.dim(` (${f.file}${f.line ? `:${f.line}` : ""})`) : "";
+    console.log(`  ${chalk.red("✖")} ${name}${where}`);
+    if (f.message) console.log(chalk.dim(`    ${f.message.split("\n")[0].slice(0, 160)}`));
+  }
+  if (failures.length > maxTests) {
+    console.log(chalk.dim(`  … and ${failures.length - maxTests} more`));
+  }
+  console.log("");
+}
+
+/**
+ * Print what the token budgeter cut from the bundle before sending it.
+ * @param {object|null} budget - `bundle.budget` from budgetBundle().
+ */
+export function printBudget(budget) {
+  if (!budget || budget.truncated.length === 0) return;
+  console.log(chalk.yellow(
+    `  Evidence trimmed to fit ~${budget.maxTokens} tokens (was ~${budget.originalTokens}, now ~${budget.tokens}):`
+  ));
+  for (const t of budget.truncated) {
+    console.log(chalk.dim(`    ${t.id} [${t.type}]: ${t.action}`));
+  }
+  if (budget.overBudget) {
+    console.log(chalk.yellow("  Still over budget after trimming — raise maxTokens if the model truncates its answer."));
+  }
+  console.log("");
+}
+
+/**
+ * Print which template and project context a prompt was rendered from.
+ * @param {{ template: string, origin: string, context: string|null, version: string }} source
+ *   `source` from renderPrompt().
+ */
+export function printPromptSource(source) {
+  const template = source.origin === "repo" ? `${source.template} (repo override)` : source.template;
+  const context = source.context ?? "none";
+  console.log(chalk.dim(`  Prompt: ${template} · context: ${context} · version ${source.version}`));
+}
+
+/**
+ * Print a prompt exactly as it will be sent, framed, with its size.
+ * @param {string} text - Rendered prompt.
+ * @param {number} tokens - Estimated tokens.
+ */
+export function printPayload(text, tokens) {
+  const rule = chalk.dim("─".repeat(60));
+  console.log(rule);
+  console.log(text);
+  console.log(rule);
+  const kb = (Buffer.byteLength(text, "utf-8") / 1024).toFixed(1);
+  console.log(chalk.dim(`  ${text.length} chars, ${kb} KB, ~${tokens} tokens\n`));
+}
+
 /**
  * Print a colorized unified diff.
  * @param {string} diffText
@@ -89,17 +310,54 @@ export function printDiff(diffText) {
 
 /**
  * Print an evidence pack summary (max entries shown).
+ * Per-step log excerpts are labelled with their job and step name,
+ * file-backed entries (workflows, actions) with their path, and test
+ * reports with their failing test names.
  * @param {object[]} evidenceArray - Array of { id, type, data } objects
- * @param {number} [maxEntries=6]
+ * @param {number} [maxEntries=10]
  */
-export function printEvidenceSummary(evidenceArray, maxEntries = 6) {
+export function printEvidenceSummary(evidenceArray, maxEntries = 10) {
   console.log(chalk.bold.underline("Evidence Pack:\n"));
   const entries = evidenceArray.slice(0, maxEntries);
   for (const e of entries) {
-    const excerpt = typeof e.data === "string"
-      ? e.data.slice(0, 120).replace(/\n/g, " ")
-      : JSON.stringify(e.data).slice(0, 120);
-    console.log(`  ${chalk.cyan(e.id)} [${e.type}]: ${chalk.dim(excerpt + (excerpt.length >= 120 ? "…" : ""))}`);
+    let label = "";
+    let body = e.data;
+    if (e.data && typeof e.data === "object" && e.data.job && typeof e.data.excerpt === "string") {
+      label = `${e.data.job} › ${e.data.step}: `;
+      // Show the first anchor line of the excerpt ("  42 | npm ERR! …")
+      const excerptLines = e.data.excerpt.split("\n");
+      const anchor = e.data.windows?.[0]?.anchor;
+      const anchorLine = anchor && excerptLines.find((l) => l.trimStart().startsWith(`${anchor} | `));
+      body = (anchorLine || excerptLines.filter((l) => l !== "…").slice(-1)[0] || "").trim();
+    } else if (e.data && typeof e.data === "object" && e.data.path && typeof e.data.content === "string") {
+      label = `${e.data.path}: `;
+      body = e.data.content;
+    } else if (e.data && typeof e.data === "object" && e.data.path && typeof e.data.snippet === "string") {
+      label = `${e.data.path}:${e.data.line}: `;
+      body = e.data.snippet.split("\n").find((l) => l.startsWith(">")) ?? "";
+    } else if (Array.isArray(e.data) && typeof e.data[0]?.message === "string") {
+      const a = e.data[0];
+      label = `${e.data.length} annotation(s)${a.path ? ` — ${a.path}${a.line ? `:${a.line}` : ""}` : ""}: `;
+      body = a.message;
+    } else if (e.data && typeof e.data === "object" && typeof e.data.classification === "string" && Array.isArray(e.data.jobs)) {
+      label = `${e.data.classification.replace(/_/g, " ")}: `;
+      body = e.data.jobs.map((j) => `${j.name} (${j.reason})`).join(", ");
+    } else if (Array.isArray(e.data) && typeof e.data[0]?.summary === "string" && Array.isArray(e.data[0]?.variants)) {
+      label = `${e.data.map((m) => m.job).join(", ")}: `;
+      body = e.data[0].summary;
+    } else if (e.data && typeof e.data === "object" && Array.isArray(e.data.jobs) && e.data.jobs[0]?.fingerprint) {
+      const f = e.data.jobs[0].fingerprint;
+      const changes = e.data.jobs.reduce((n, j) => n + (j.changes?.length ?? 0), 0);
+      label = `${[f.image, f.imageVersion].filter(Boolean).join(" ") || f.os || "runner"}: `;
+      body = e.data.baselineRunId ? `${changes} change(s) since run #${e.data.baselineRunId}` : Object.entries(f.tools).map(([k, v]) => `${k} ${v}`).join(", ");
+    } else if (e.data && typeof e.data === "object" && Array.isArray(e.data.failures) && Array.isArray(e.data.reports)) {
+      label = `${e.data.failures.length} failing test(s) in ${e.data.reports.length} report(s): `;
+      body = e.data.failures.map((f) => f.name).join(", ");
+    }
+    const excerpt = typeof body === "string"
+      ? body.slice(0, 120).replace(/\n/g, " ")
+      : JSON.stringify(body).slice(0, 120);
+    console.log(`  ${chalk.cyan(e.id)} [${e.type}]: ${label}${chalk.dim(excerpt + (excerpt.length >= 120 ? "…" : ""))}`);
   }
   if (evidenceArray.length > maxEntries) {
     console.log(chalk.dim(`  … and ${evidenceArray.length - maxEntries} more entries`));
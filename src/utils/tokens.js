@@ -0,0 +1,32 @@
+/**
+ * tokens.js — Rough token estimation
+ *
+ * We don't ship a tokenizer: ~4 characters per token is close enough for
+ * English + JSON with GPT-4 class models, and it's what budgets and the
+ * `watch` scoreboard are measured in.
+ */
+
+/** Average characters per token (approximate for GPT-4 class models) */
+export const CHARS_PER_TOKEN = 4;
+
+/**
+ * Estimate the token count of a string.
+ *
+ * @param {string} text
+ * @returns {number}
+ */
+export function estimateTokens(text) {
+  if (!text) return 0;
+  return Math.ceil(text.length / CHARS_PER_TOKEN);
+}
+
+/**
+ * Estimate the tokens a value takes once serialized into a prompt
+ * (pretty-printed JSON, as `loadPrompt()` renders it).
+ *
+ * @param {*} value
+ * @returns {number}
+ */
+export function estimateJsonTokens(value) {
+  return estimateTokens(JSON.stringify(value, null, 2));
+}